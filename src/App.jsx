@@ -1,8 +1,10 @@
 import React, { useLayoutEffect, useEffect, useMemo, useState, useRef } from "react";
 import { createPortal } from "react-dom";
+import { Link, useLocation, useNavigate } from "react-router-dom";
 import { createClient } from "@supabase/supabase-js";
 import jsPDF from "jspdf";
 import autoTable from "jspdf-autotable";
+import Fuse from "fuse.js";
 
 // BodyPortal: safely render small overlays at <body> level
 const BodyPortal = ({ children }) => {
@@ -51,6 +53,222 @@ async function loadRupeeFont(doc) {
   doc.addFont("NotoSans-Bold.ttf", "NotoSans", "bold");
 }
 
+// Firm letterhead shared by all PDFs (quotation, brochure): logo or firm name + a title.
+// Returns the firm's jsPDF font family, the title baseline and ("hvf" layout) the logo bottom.
+// profile: the firm's profile (firmProfile), null for Internal.
+async function drawFirmBrand(doc, profile, title) {
+  const pw = doc.internal.pageSize.getWidth();
+  const layout = profile?.layout || "internal";
+
+  if (layout === "hvf") {
+    let logoBottom = 24;
+    try {
+      if (!profile.logo_url) throw new Error("no logo");
+      const img = new Image();
+      img.crossOrigin = "anonymous";
+      img.src = profile.logo_url;
+      await new Promise((resolve, reject) => {
+        img.onload = resolve;
+        img.onerror = reject;
+      });
+      const w = 110;
+      const h = (img.height * w) / img.width;
+      const x = (pw - w) / 2;
+      const y = 24;
+      doc.addImage(img, "PNG", x, y, w, h);
+      logoBottom = y + h;
+    } catch (e) {
+      console.warn("Logo not added:", e); // firm name instead
+      doc.setFont("helvetica", "bold");
+      doc.setFontSize(20);
+      doc.text(profile.name, pw / 2, 48, { align: "center" });
+      logoBottom = 56;
+    }
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(16);
+    doc.text(title, pw / 2, logoBottom + 28, { align: "center" });
+    return { font: "helvetica", titleY: logoBottom + 28, logoBottom };
+  }
+
+  if (layout === "victor") {
+    doc.setFont("times", "bold");
+    doc.setFontSize(22);
+    doc.text(profile.name, pw / 2, 60, { align: "center" });
+    doc.setFontSize(14);
+    doc.text(title, pw / 2, 80, { align: "center" });
+    return { font: "times", titleY: 80 };
+  }
+
+  if (layout === "mahabir") {
+    doc.setFont("courier", "bold");
+    doc.setFontSize(20);
+    doc.text(profile.name, pw / 2, 48, { align: "center" });
+    doc.setFont("courier", "bold");
+    doc.setFontSize(16);
+    doc.text(title, pw / 2, 74, { align: "center" });
+    return { font: "courier", titleY: 74 };
+  }
+
+  // Internal: plain title
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(16);
+  doc.text(title, pw / 2, 86, { align: "center" });
+  return { font: "helvetica", titleY: 86 };
+}
+
+// Product photo -> JPEG data URL scaled for print ({ data, w, h }), or null if it won't load
+async function loadPdfImage(url, maxSide = 700) {
+  if (!url) return null;
+  try {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.src = url;
+    await new Promise((resolve, reject) => {
+      img.onload = resolve;
+      img.onerror = reject;
+    });
+    const scale = Math.min(1, maxSide / Math.max(img.width, img.height));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(img.width * scale);
+    canvas.height = Math.round(img.height * scale);
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    return { data: canvas.toDataURL("image/jpeg", 0.85), w: canvas.width, h: canvas.height };
+  } catch (e) {
+    console.warn("Brochure image skipped:", url, e);
+    return null;
+  }
+}
+
+/* --- Structured machine specs --- */
+// Typed attributes stored in machines.attributes (jsonb). Which of these apply to a
+// category comes from categories.spec_keys; a category without a list gets them all.
+const SPEC_FIELDS = [
+  { key: "hp", label: "Motor", unit: "HP", type: "number" },
+  { key: "phase", label: "Phase", type: "select", options: [["1", "Single-phase"], ["3", "3-phase"]] },
+  { key: "voltage", label: "Voltage", unit: "V", type: "number" },
+  { key: "capacity", label: "Capacity", unit: "kg/h", type: "number" },
+  { key: "weight", label: "Weight", unit: "kg", type: "number" },
+];
+
+const specFieldsFor = (keys) =>
+  Array.isArray(keys) && keys.length
+    ? SPEC_FIELDS.filter((f) => keys.includes(f.key))
+    : SPEC_FIELDS;
+
+// "15" -> "15 HP", "3" -> "3-phase"
+const formatSpecValue = (field, v) => {
+  if (v == null || v === "") return "";
+  if (field.type === "select") {
+    const opt = (field.options || []).find(([val]) => String(val) === String(v));
+    return opt ? opt[1] : String(v);
+  }
+  return field.unit ? `${v} ${field.unit}` : String(v);
+};
+
+// Attribute object -> ["Motor: 15 HP", "Phase: 3-phase", …] in SPEC_FIELDS order
+const specLines = (attributes) => {
+  if (!attributes || typeof attributes !== "object") return [];
+  return SPEC_FIELDS
+    .filter((f) => attributes[f.key] != null && attributes[f.key] !== "")
+    .map((f) => `${f.label}: ${formatSpecValue(f, attributes[f.key])}`);
+};
+
+// Form strings -> clean attribute object (numbers as numbers, blanks dropped)
+const cleanSpecAttributes = (raw) => {
+  const out = {};
+  SPEC_FIELDS.forEach((f) => {
+    const v = String(raw?.[f.key] ?? "").trim();
+    if (!v) return;
+    if (f.type === "number") {
+      const n = Number(v);
+      if (Number.isFinite(n)) out[f.key] = n;
+    } else {
+      out[f.key] = v;
+    }
+  });
+  return Object.keys(out).length ? out : null;
+};
+
+// PDF "Description" cell: name (– variant), then attribute lines, then the free-text specs in brackets
+const pdfDescription = (r) =>
+  [
+    [r?.name || "", r?.variant_label].filter(Boolean).join(" – "),
+    ...specLines(r?.attributes),
+    r?.specs ? `(${r.specs})` : "",
+  ]
+    .filter((line, i) => i === 0 || line)
+    .join("\n");
+
+/* --- Catalog fuzzy search --- */
+// Weighted so a hit in the product name outranks one buried in the specs.
+// ignoreLocation lets "15hp" match "… • 15 HP motor" anywhere in the text.
+const CATALOG_FUSE_OPTIONS = {
+  keys: [
+    { name: "name", weight: 0.5 },
+    { name: "model_code", weight: 0.2 },
+    { name: "category", weight: 0.15 },
+    { name: "specs", weight: 0.15 },
+  ],
+  includeScore: true,
+  includeMatches: true,
+  ignoreLocation: true,
+  threshold: 0.4,
+  minMatchCharLength: 2,
+};
+
+// Render text with the Fuse match ranges wrapped in <mark>
+const Highlight = ({ text, ranges }) => {
+  const str = String(text ?? "");
+  if (!ranges || !ranges.length) return str;
+  const out = [];
+  let last = 0;
+  [...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([start, end], i) => {
+      if (start < last) return; // overlapping range
+      if (start > last) out.push(str.slice(last, start));
+      out.push(
+        <mark key={i} style={{ background: "#fff3bf", padding: 0, borderRadius: 2 }}>
+          {str.slice(start, end + 1)}
+        </mark>
+      );
+      last = end + 1;
+    });
+  if (last < str.length) out.push(str.slice(last));
+  return out;
+};
+
+/* --- Product photos --- */
+// Full-size photos are capped for the gallery, thumbs for the catalog grid
+const PHOTO_FULL = { maxSide: 1600, quality: 0.82 };
+const PHOTO_THUMB = { maxSide: 480, quality: 0.7 };
+
+// Downscale + re-encode a picked photo as JPEG (phone shots are 4–8 MB)
+async function compressImage(file, { maxSide, quality }) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff"; // transparent PNGs would otherwise turn black
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", quality));
+  if (!blob) throw new Error("Could not compress " + (file.name || "image"));
+  return blob;
+}
+
+// All photos of a machine as [{ url, thumb }]; older rows only have image_url
+const machineImages = (m) => {
+  if (Array.isArray(m?.images) && m.images.length) return m.images;
+  return m?.image_url ? [{ url: m.image_url, thumb: m.thumb_url || m.image_url }] : [];
+};
+
 /* --- Supabase client --- */
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 const supabaseKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
@@ -76,6 +294,43 @@ const inr = (n) =>
     maximumFractionDigits: 0,
   });
 
+// Amount in words, Indian grouping: 12345678.5 ->
+// "Rupees One Crore Twenty-Three Lakh Forty-Five Thousand Six Hundred Seventy-Eight and Fifty Paise Only"
+const ONES = [
+  "", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten",
+  "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen", "Seventeen", "Eighteen", "Nineteen",
+];
+const TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"];
+const twoDigitWords = (n) =>
+  n < 20 ? ONES[n] : TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : "");
+const threeDigitWords = (n) =>
+  [n >= 100 ? `${ONES[Math.floor(n / 100)]} Hundred` : "", twoDigitWords(n % 100)]
+    .filter(Boolean)
+    .join(" ");
+const rupeeWords = (n) => {
+  if (n === 0) return "Zero";
+  const crore = Math.floor(n / 1e7);
+  const lakh = Math.floor((n % 1e7) / 1e5);
+  const thousand = Math.floor((n % 1e5) / 1e3);
+  return [
+    // anything above 99 crore is still counted in crores ("One Hundred Crore")
+    crore ? `${crore > 999 ? rupeeWords(crore) : threeDigitWords(crore)} Crore` : "",
+    lakh ? `${twoDigitWords(lakh)} Lakh` : "",
+    thousand ? `${twoDigitWords(thousand)} Thousand` : "",
+    threeDigitWords(n % 1e3),
+  ]
+    .filter(Boolean)
+    .join(" ");
+};
+const amountInWords = (amount) => {
+  const paiseTotal = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+  return (
+    `Rupees ${rupeeWords(rupees)}` + (paise ? ` and ${twoDigitWords(paise)} Paise` : "") + " Only"
+  );
+};
+
 const todayStr = () => {
   const d = new Date();
   const dd = String(d.getDate()).padStart(2, "0");
@@ -112,35 +367,218 @@ const todayISO = () => {
   return `${yyyy}-${mm}-${dd}`;
 };
 
-const inferFirmFromNumber = (num) => {
+/* --- Firm profiles (public.firms) --- */
+// Letterhead, GSTIN, bank, terms and quote numbering of each firm we quote as. The table is
+// the source of truth; these built-ins cover the first paint and an un-migrated database.
+// layout picks the PDF style: "hvf" (logo) | "victor" (framed invoice) | "mahabir" (courier).
+// "Internal" is not a firm: its quotes are never numbered and print without a letterhead.
+// default_terms mirrors the firms -> terms_templates embed loadFirms selects
+const HVF_TERMS = {
+  body: [
+    "This quotation is valid for six month from the date of issue.",
+    "Delivery is subject to stock availability and may take up to 2 weeks.",
+    "Goods once sold are non-returnable and non-exchangeable.",
+  ].join("\n"),
+};
+const DEFAULT_FIRMS = [
+  {
+    name: "HVF Agency",
+    address: "Moranhat, Assam",
+    gstin: "18AFCPC4260P1ZB",
+    phone: "9957239143 / 9954425780",
+    bank_lines: ["HVF AGENCY", "ICICI BANK (Moran Branch)", "A/C No - 199505500412", "IFSC Code - ICIC0001995"],
+    logo_url: "/hvf-logo.png",
+    default_terms: HVF_TERMS,
+    doc_title: "QUOTATION",
+    number_prefix: "APP/H",
+    number_digits: 3,
+    layout: "hvf",
+    active: true,
+  },
+  {
+    name: "Victor Engineering",
+    address: "",
+    gstin: "18BCYCP9744A1ZA",
+    phone: "",
+    bank_lines: [
+      "M/S VICTOR ENGINEERING",
+      "Axis Bank (Moran, 785670)",
+      "Current Account",
+      "A/C No: 921020019081364",
+      "IFSC: UTIB0003701",
+    ],
+    logo_url: null,
+    default_terms: {
+      body: [
+        "Price will be including GST % as applicable.",
+        "This Performa Invoice is valid for 15 days only.",
+        "Delivery ex-stock/2 weeks.",
+        "Goods once sold cannot be taken back.",
+      ].join("\n"),
+    },
+    doc_title: "PERFORMA INVOICE",
+    number_prefix: "APP/VE",
+    number_digits: 3,
+    layout: "victor",
+    active: true,
+  },
+  {
+    name: "Mahabir Hardware Stores",
+    address: "",
+    gstin: "18ACBPA2363D1Z9",
+    phone: "",
+    bank_lines: ["AC No. 11010061051", "IFSC Cord - SBIN0007368", "Branch - Moran Branch"],
+    logo_url: null,
+    default_terms: HVF_TERMS,
+    doc_title: "QUOTATION",
+    number_prefix: "MH",
+    number_digits: 0, // MH1052 — no padding
+    layout: "mahabir",
+    active: true,
+  },
+];
+const FIRM_LAYOUTS = ["hvf", "victor", "mahabir"];
+
+// The helpers below take the firm list as loaded by App (its `firms` state) first
+const firmProfile = (firms, name) => firms.find((f) => f.name === name) || null;
+// PDF style of a firm name ("internal" for Internal / unknown names)
+const firmLayout = (firms, name) => firmProfile(firms, name)?.layout || "internal";
+
+const escapeRegExp = (str) => String(str).replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+// a revision keeps its original's number plus -R2, -R3, …
+const firmNumberRe = (f) =>
+  new RegExp(`^${escapeRegExp(f.number_prefix)}\\d{${Math.max(1, Number(f.number_digits) || 0)},}(?:-R\\d+)?$`);
+// Placeholder shown before a number is reserved, e.g. "APP/H###"
+const firmNumberHint = (f) => `${f?.number_prefix || ""}${"#".repeat(Math.max(3, Number(f?.number_digits) || 0))}`;
+
+// Drafts hold a hidden DRAFT/… number until finalized; their firm is the quotes.firm column
+const isDraftNumber = (num) => /^DRAFT\//i.test(String(num ?? ""));
+const quoteFirmOf = (firms, q) =>
+  isDraftNumber(q?.number) ? q?.firm || null : inferFirmFromNumber(firms, q?.number);
+
+// Revisions: APP/H048 (revision 1), then APP/H048-R2, APP/H048-R3, … Only the newest one
+// can change; rows carry root_number (the original's number) and revision.
+const revisionRoot = (q) => q?.root_number || q?.number;
+// Keep only the newest revision of each quote (lists show one row per quote)
+const latestRevisions = (rows) => {
+  const newest = {};
+  rows.forEach((r) => {
+    newest[revisionRoot(r)] = Math.max(newest[revisionRoot(r)] || 0, r.revision || 1);
+  });
+  return rows.filter((r) => (r.revision || 1) === newest[revisionRoot(r)]);
+};
+
+const inferFirmFromNumber = (firms, num) => {
   if (num == null || String(num).trim() === "") return "Internal";
-  if (/^INT\//i.test(String(num))) return "Internal";               // ← NEW
-  if (/^APP\/H\d{3}$/.test(num)) return "HVF Agency";
-  if (/^APP\/VE\d{3}$/.test(num)) return "Victor Engineering";
-  if (/^MH\d+$/.test(num)) return "Mahabir Hardware Stores";
-  return null;
+  if (/^INT\//i.test(String(num))) return "Internal";
+  // longest prefix first so "APP/VE" wins over a shorter prefix it starts with
+  const match = [...firms]
+    .sort((a, b) => b.number_prefix.length - a.number_prefix.length)
+    .find((f) => firmNumberRe(f).test(String(num)));
+  return match ? match.name : null;
 };
 
-function numberMatchesFirm(firm, n) {
+// Terms & Conditions are stored as text, one condition per line.
+// A firm prints its default template; without one, no T&C.
+const firmDefaultTerms = (firms, name) => firmProfile(firms, name)?.default_terms?.body ?? "";
+// What a quote prints: its own edited text (qHeader.terms) or the firm default; Internal has none
+const quoteTerms = (firms, qHeader, firm) =>
+  firm === "Internal" ? "" : qHeader?.terms ?? firmDefaultTerms(firms, firm);
+const termsLines = (text) =>
+  String(text || "")
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean);
+
+function numberMatchesFirm(firms, firm, n) {
   // Internal quotes must never have a number
   if (firm === "Internal") return !n;
   if (!n) return false;
-  if (firm === "HVF Agency") return /^APP\/H\d{3}$/.test(n);
-  if (firm === "Victor Engineering") return /^APP\/VE\d{3}$/.test(n);
-  if (firm === "Mahabir Hardware Stores") return /^MH\d+$/.test(n);
-  return true;
+  const f = firmProfile(firms, firm);
+  return f ? firmNumberRe(f).test(n) : true;
 }
 
 
 
 
-// Per-firm next number via Supabase RPC (sequence + formatting)
-async function getNextFirmQuoteNumber(firm) {
-  const { data, error } = await supabase.rpc("next_quote_code", { p_firm: firm });
-  if (error) throw error;
-  return data; // e.g. "APP/H004", "VE001", "MH1052"
+/* --- Bulk product import (CSV / XLSX) --- */
+// Minimal RFC-4180 CSV reader: quoted fields, "" escapes, CRLF/LF line ends.
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell); cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); cell = "";
+      rows.push(row); row = [];
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter((r) => r.some((c) => String(c).trim() !== ""));
+}
+
+// Read the first sheet of a .csv / .xlsx file as an array of rows
+async function readImportFile(file) {
+  const name = (file?.name || "").toLowerCase();
+  if (name.endsWith(".csv")) return parseCSV(await file.text());
+  if (name.endsWith(".xlsx")) {
+    const { readSheet } = await import("read-excel-file/browser");
+    const rows = await readSheet(file);
+    return (rows || []).filter((r) => r.some((c) => c != null && String(c).trim() !== ""));
+  }
+  throw new Error("Please choose a .csv or .xlsx file.");
+}
+
+// Header aliases accepted in manufacturer price lists -> machines column
+const IMPORT_HEADERS = {
+  name: "name", product: "name", "product name": "name", machine: "name",
+  model: "model_code", "model code": "model_code", model_code: "model_code", code: "model_code",
+  category: "category",
+  mrp: "mrp", "mrp (₹)": "mrp",
+  sell: "sell_price", "sell price": "sell_price", sell_price: "sell_price", "selling price": "sell_price",
+  cost: "cost_price", "cost price": "cost_price", cost_price: "cost_price",
+  specs: "specs", description: "specs", "specs / description": "specs",
+  image: "image", photo: "image", "image file": "image", filename: "image",
+};
+
+// Turn sheet rows (first row = headers) into plain objects keyed by machines columns
+function sheetToImportRecords(rows) {
+  const [head = [], ...body] = rows || [];
+  const keys = head.map((h) => IMPORT_HEADERS[String(h ?? "").trim().toLowerCase()] || null);
+  if (!keys.includes("name")) throw new Error("No 'Name' column found in the first row.");
+  return body.map((r, idx) => {
+    const rec = { line: idx + 2 }; // row number counting the header as 1 (blank rows skipped)
+    keys.forEach((k, i) => {
+      if (k && rec[k] == null) rec[k] = r[i] == null ? "" : String(r[i]).trim();
+    });
+    return rec;
+  });
 }
 
+// "₹1,25,000" -> 125000 ; "" -> null ; junk -> NaN
+const toImportNumber = (v) => {
+  const s = String(v ?? "").replace(/[₹,\s]/g, "").replace(/^rs\.?/i, "");
+  if (!s) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : NaN;
+};
+
+
 // (kept for save fallback if needed)
 async function getNextQuoteCode(firmName) {
   const { data, error } = await supabase.rpc("next_quote_code", { p_firm: firmName });
@@ -148,6 +586,377 @@ async function getNextQuoteCode(firmName) {
   return data;
 }
 
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/* --- Discounts --- */
+// A discount is { type: "pct" | "amt", value }. Line discounts come off each unit's MRP;
+// the overall discount comes off the subtotal after line discounts.
+const discountOn = (base, d) => {
+  const v = Number(d?.value || 0);
+  if (!(v > 0) || !(base > 0)) return 0;
+  return Math.min(base, d.type === "amt" ? v : (base * v) / 100);
+};
+const discountLabel = (d) =>
+  Number(d?.value || 0) > 0 ? (d.type === "amt" ? `₹${inr(d.value)}` : `${Number(d.value)}%`) : "";
+
+// Price the cart: each line's net unit and total after its own discount, plus its
+// pro-rata share of the overall discount (GST is charged on what is actually paid).
+function priceQuote(list, overall) {
+  const lines = list.map((r) => {
+    const qty = Number(r.qty || 0);
+    const mrp = Number(r.unit || 0);
+    const net = mrp - discountOn(mrp, { type: r.disc_type, value: r.disc });
+    return { ...r, net_unit: net, line_total: qty * net };
+  });
+  const gross = lines.reduce((a, l) => a + Number(l.qty || 0) * Number(l.unit || 0), 0);
+  const subtotal = lines.reduce((a, l) => a + l.line_total, 0);
+  const overallDisc = round2(discountOn(subtotal, overall));
+  let left = overallDisc;
+  lines.forEach((l, i) => {
+    const share =
+      i === lines.length - 1 ? left : round2(subtotal ? (overallDisc * l.line_total) / subtotal : 0);
+    left = round2(left - share);
+    l.final_total = l.line_total - share;
+  });
+  return {
+    lines,
+    gross,
+    lineDisc: gross - subtotal,
+    subtotal,
+    overallDisc,
+    grand: subtotal - overallDisc,
+    hasLineDisc: lines.some((l) => l.net_unit !== Number(l.unit || 0)),
+  };
+}
+
+// GST split of one cart line; prices are typed GST-inclusive.
+// Priced lines (priceQuote) are taxed on their final total after discounts.
+const lineTax = (r) => {
+  const rate = Number.isFinite(r?.gst) ? Number(r.gst) : 18;
+  const incl = r?.final_total ?? Number(r?.qty || 0) * Number(r?.unit || 0);
+  const taxable = incl / (1 + rate / 100);
+  return { gst_rate: rate, taxable_value: round2(taxable), tax_amount: round2(incl - taxable) };
+};
+
+/* --- GST place of supply --- */
+// Customers in the firm's own state (from its GSTIN) pay CGST + SGST (half each), customers
+// in any other state pay IGST. Internal quotes have no GSTIN: they go by the first firm's.
+const firmHomeState = (firms, name) =>
+  stateFromGstin(firmProfile(firms, name)?.gstin) || stateFromGstin(firms[0]?.gstin) || null;
+const INDIAN_STATES = [
+  "Andaman and Nicobar Islands", "Andhra Pradesh", "Arunachal Pradesh", "Assam", "Bihar",
+  "Chandigarh", "Chhattisgarh", "Dadra and Nagar Haveli and Daman and Diu", "Delhi", "Goa",
+  "Gujarat", "Haryana", "Himachal Pradesh", "Jammu and Kashmir", "Jharkhand", "Karnataka",
+  "Kerala", "Ladakh", "Lakshadweep", "Madhya Pradesh", "Maharashtra", "Manipur", "Meghalaya",
+  "Mizoram", "Nagaland", "Odisha", "Puducherry", "Punjab", "Rajasthan", "Sikkim",
+  "Tamil Nadu", "Telangana", "Tripura", "Uttar Pradesh", "Uttarakhand", "West Bengal",
+];
+const isInterState = (state, home) => !!state && !!home && state !== home;
+
+/* --- Customer GSTIN --- */
+// GST state codes (first two digits of a GSTIN) -> INDIAN_STATES names
+const GST_STATE_CODES = {
+  "01": "Jammu and Kashmir", "02": "Himachal Pradesh", "03": "Punjab", "04": "Chandigarh",
+  "05": "Uttarakhand", "06": "Haryana", "07": "Delhi", "08": "Rajasthan", "09": "Uttar Pradesh",
+  "10": "Bihar", "11": "Sikkim", "12": "Arunachal Pradesh", "13": "Nagaland", "14": "Manipur",
+  "15": "Mizoram", "16": "Tripura", "17": "Meghalaya", "18": "Assam", "19": "West Bengal",
+  "20": "Jharkhand", "21": "Odisha", "22": "Chhattisgarh", "23": "Madhya Pradesh", "24": "Gujarat",
+  "25": "Dadra and Nagar Haveli and Daman and Diu", "26": "Dadra and Nagar Haveli and Daman and Diu",
+  "27": "Maharashtra", "28": "Andhra Pradesh", "29": "Karnataka", "30": "Goa", "31": "Lakshadweep",
+  "32": "Kerala", "33": "Tamil Nadu", "34": "Puducherry", "35": "Andaman and Nicobar Islands",
+  "36": "Telangana", "37": "Andhra Pradesh", "38": "Ladakh",
+};
+const GSTIN_RE = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+// 15th character: base-36 check digit over the first 14 (weights 1, 2, 1, 2, …)
+const gstinCheckChar = (g) => {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const p = GSTIN_CHARS.indexOf(g[i]) * (i % 2 ? 2 : 1);
+    sum += Math.floor(p / 36) + (p % 36);
+  }
+  return GSTIN_CHARS[(36 - (sum % 36)) % 36];
+};
+const normalizeGstin = (g) => String(g || "").replace(/\s+/g, "").toUpperCase();
+// "" when valid (or blank), else what is wrong
+const gstinError = (g) => {
+  const v = normalizeGstin(g);
+  if (!v) return "";
+  if (v.length !== 15) return "GSTIN has 15 characters";
+  if (!GSTIN_RE.test(v)) return "Not a GSTIN (e.g. 18AFCPC4260P1ZB)";
+  if (!GST_STATE_CODES[v.slice(0, 2)]) return `Unknown state code ${v.slice(0, 2)}`;
+  if (gstinCheckChar(v) !== v[14]) return "Check digit does not match: please re-check the GSTIN";
+  return "";
+};
+const stateFromGstin = (g) => GST_STATE_CODES[normalizeGstin(g).slice(0, 2)] || null;
+
+const inr2 = (n) =>
+  Number(n ?? 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// lineTax + the CGST/SGST or IGST amounts for the customer's state (home: the firm's state)
+const lineTaxSplit = (r, state, home) => {
+  const t = lineTax(r);
+  if (isInterState(state, home)) return { ...t, cgst_amount: 0, sgst_amount: 0, igst_amount: t.tax_amount };
+  const cgst = round2(t.tax_amount / 2);
+  return { ...t, cgst_amount: cgst, sgst_amount: round2(t.tax_amount - cgst), igst_amount: 0 };
+};
+
+// Per-rate GST subtotals of cart rows ({ inter, rates: [...], taxable, cgst, sgst, igst, tax })
+const gstSummary = (list, state, home) => {
+  const byRate = {};
+  list.forEach((r) => {
+    const t = lineTaxSplit(r, state, home);
+    const b = (byRate[t.gst_rate] ||= { rate: t.gst_rate, taxable: 0, cgst: 0, sgst: 0, igst: 0, tax: 0 });
+    b.taxable += t.taxable_value;
+    b.cgst += t.cgst_amount;
+    b.sgst += t.sgst_amount;
+    b.igst += t.igst_amount;
+    b.tax += t.tax_amount;
+  });
+  const rates = Object.values(byRate)
+    .sort((a, b) => a.rate - b.rate)
+    .map((b) => ({
+      rate: b.rate,
+      taxable: round2(b.taxable),
+      cgst: round2(b.cgst),
+      sgst: round2(b.sgst),
+      igst: round2(b.igst),
+      tax: round2(b.tax),
+    }));
+  const sum = (k) => round2(rates.reduce((a, b) => a + b[k], 0));
+  return {
+    inter: isInterState(state, home),
+    rates,
+    taxable: sum("taxable"),
+    cgst: sum("cgst"),
+    sgst: sum("sgst"),
+    igst: sum("igst"),
+    tax: sum("tax"),
+  };
+};
+
+// Cart rows -> quote_items rows (quote_id is added by writeQuote)
+const quoteItemRows = (list, state, home) =>
+  list.map((r) => ({
+    machine_id: r.machine_id || null,
+    variant_id: r.variant_id || null,
+    variant_label: r.variant_label || null,
+    name: r.name,
+    specs: r.specs || null,
+    attributes: r.attributes || null,
+    qty: r.qty,
+    mrp: r.unit,
+    // no discount = pct / 0 (the columns are not null)
+    discount_type: (Number(r.disc || 0) > 0 && r.disc_type) || "pct",
+    discount_value: Number(r.disc || 0) > 0 ? Number(r.disc) : 0,
+    net_price: r.net_unit ?? r.unit,
+    ...lineTaxSplit(r, state, home),
+  }));
+
+// Key behind the placeholder number of an Internal quote / new draft: one per editor session
+const newSaveKey = () =>
+  `${new Date().toISOString().slice(0, 10).replace(/-/g, "")}/` +
+  Math.random().toString(36).slice(2, 8).toUpperCase();
+
+// Write one quotation (header + lines) and return { id, number, status, version, customer_id }.
+// Used by the editor's Save and by the offline outbox sync. One save_quote RPC = one
+// transaction: the header and every line are saved together or not at all.
+// draft: saved without a firm number (quoteId = the draft row to update, if it exists);
+// finalize: a draft also gets the firm's next number in that same transaction;
+// expectedVersion: the row's version this edit started from (a newer one = version conflict);
+// reviseOf: save as the next revision of that numbered row instead of changing it.
+// firms: the loaded firm profiles (default T&C, home state).
+async function writeQuote({
+  firms,
+  firm,
+  qHeader,
+  items,
+  total,
+  number,
+  gstBreakdown,
+  discountAmount,
+  draft = false,
+  quoteId = null,
+  finalize = false,
+  expectedVersion = qHeader.version ?? null,
+  reviseOf = null,
+}) {
+  const hasDisc = Number(qHeader.discount_value || 0) > 0;
+  const base = {
+    customer_id: qHeader.customer_id || null, // picked from the customer list (else matched on save)
+    customer_name: qHeader.customer_name || null,
+    customer_gstin: normalizeGstin(qHeader.customer_gstin) || null, // B2B buyer
+    address: qHeader.address || null,
+    phone: qHeader.phone || null,
+    subject: qHeader.subject || null,
+    customer_state: qHeader.customer_state || firmHomeState(firms, firm), // place of supply
+    discount_type: (hasDisc && qHeader.discount_type) || "pct", // overall discount (none = 0)
+    discount_value: hasDisc ? Number(qHeader.discount_value) : 0,
+    discount_amount: discountAmount || 0,
+    total,
+    firm,
+    gst_breakdown: !!gstBreakdown, // reprints use the same table layout
+    terms: quoteTerms(firms, qHeader, firm) || null, // exact T&C text, so reprints match
+  };
+
+  // INTERNAL / new DRAFT: hidden synthetic number so DB constraints are happy (a saved
+  // draft or Internal quote keeps the one it has and is updated by id). It is built from the
+  // editor session's save_key, so an outbox retry of a save whose reply was lost updates that row.
+  const placeholder = () => `${draft ? "DRAFT" : "INT"}/${qHeader.save_key || newSaveKey()}`;
+  const updateRow = !!quoteId && (draft || firm === "Internal");
+
+  const { data, error } = await supabase.rpc("save_quote", {
+    p_quote: {
+      ...base,
+      number: updateRow ? null : firm === "Internal" || draft ? placeholder() : number,
+      status: draft ? "draft" : "final",
+    },
+    p_items: items,
+    p_quote_id: updateRow ? quoteId : null,
+    p_finalize: draft && finalize,
+    p_expected_version: expectedVersion,
+    p_revise_of: reviseOf,
+  });
+  if (error) throw error;
+
+  // placeholders never reach the editor: Internal quotes and unfinalized drafts show no number
+  const finalNumber = data.status === "final" && firm !== "Internal" ? String(data.number).trim() : "";
+  return {
+    id: data.id,
+    number: finalNumber,
+    status: data.status,
+    version: data.version,
+    customer_id: data.customer_id || null,
+  };
+}
+
+// quote_items rows -> editor cart (as used when re-opening or cloning a saved quote)
+const cartFromQuoteItems = (lines) => {
+  const cart = {};
+  (lines || []).forEach((ln, idx) => {
+    const id = `saved-${idx}`;
+    cart[id] = {
+      id,
+      machine_id: ln.machine_id || null,
+      variant_id: ln.variant_id || null,
+      variant_label: ln.variant_label || "",
+      name: ln.name,
+      specs: ln.specs || "",
+      attributes: ln.attributes || null,
+      unit: Number(ln.mrp || 0),
+      qty: Number(ln.qty || 0),
+      gst: ln.gst_rate != null ? Number(ln.gst_rate) : 18, // older quotes: default GST %
+      disc_type: ln.discount_type || "pct",
+      disc: ln.discount_value != null ? Number(ln.discount_value) : 0,
+    };
+  });
+  return cart;
+};
+
+// One saved quote as { header: quotes row, lines: quote_items rows }, or null if it is gone
+async function fetchQuote(id) {
+  const { data: header, error } = await supabase.from("quotes").select("*").eq("id", id).maybeSingle();
+  if (error) throw error;
+  if (!header) return null;
+  const { data: lines, error: lerr } = await supabase.from("quote_items").select("*").eq("quote_id", id);
+  if (lerr) throw lerr;
+  return { header, lines: lines || [] };
+}
+
+/* --- Comparing two versions of a quote --- */
+const QUOTE_DIFF_FIELDS = [
+  ["customer_name", "Customer"],
+  ["customer_gstin", "Customer GSTIN"],
+  ["address", "Address"],
+  ["phone", "Phone"],
+  ["subject", "Subject"],
+  ["customer_state", "Place of supply"],
+  ["discount", "Overall discount"],
+  ["terms", "Terms & Conditions"],
+  ["total", "Total"],
+];
+// same machine + variant = same line
+const quoteLineKey = (l) => `${l.machine_id || l.name}|${l.variant_id || l.variant_label || ""}`;
+const quoteLineText = (l) => {
+  const disc = discountLabel({ type: l.discount_type, value: l.discount_value });
+  return `${Number(l.qty || 0)} × ₹${inr(l.mrp)}${disc ? ` less ${disc}` : ""}, GST ${l.gst_rate ?? 18}%`;
+};
+
+// a and b are { header, lines } (see fetchQuote). Returns what differs as
+// { fields: [{ label, a, b }], lines: [{ label, a, b }] }; "" = not on that side.
+function diffQuotes(a, b) {
+  const field = (h, k) =>
+    k === "discount"
+      ? discountLabel({ type: h.discount_type, value: h.discount_value })
+      : k === "total"
+      ? `₹${inr(h.total)}`
+      : String(h[k] ?? "").trim();
+  const fields = QUOTE_DIFF_FIELDS.map(([k, label]) => ({
+    label,
+    a: field(a.header, k),
+    b: field(b.header, k),
+  })).filter((d) => d.a !== d.b);
+
+  const byKey = (list) => new Map(list.map((l) => [quoteLineKey(l), l]));
+  const la = byKey(a.lines);
+  const lb = byKey(b.lines);
+  const lines = [...new Set([...la.keys(), ...lb.keys()])]
+    .map((k) => {
+      const x = la.get(k);
+      const y = lb.get(k);
+      const l = x || y;
+      return {
+        label: [l.name, l.variant_label].filter(Boolean).join(" — "),
+        a: x ? quoteLineText(x) : "",
+        b: y ? quoteLineText(y) : "",
+      };
+    })
+    .filter((d) => d.a !== d.b);
+  return { fields, lines };
+}
+
+/* ===== Offline support ===== */
+const CATALOG_CACHE_KEY = "hvf.catalogCache"; // last good { machines, categories, at }
+const OUTBOX_KEY = "hvf.outbox"; // quotes saved while offline, oldest first
+
+const readCatalogCache = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CATALOG_CACHE_KEY) || "null") || {};
+  } catch {
+    return {};
+  }
+};
+const writeCatalogCache = (patch) => {
+  try {
+    localStorage.setItem(
+      CATALOG_CACHE_KEY,
+      JSON.stringify({ ...readCatalogCache(), ...patch, at: new Date().toISOString() })
+    );
+  } catch (e) {
+    console.warn("Catalog cache not written:", e?.message || e); // quota full
+  }
+};
+
+const readOutbox = () => {
+  try {
+    const arr = JSON.parse(localStorage.getItem(OUTBOX_KEY) || "[]");
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
+  }
+};
+
+// fetch() failures surface as plain errors from supabase-js
+const isNetworkError = (e) =>
+  !navigator.onLine ||
+  /failed to fetch|networkerror|network request failed|load failed|fetch failed/i.test(
+    String(e?.message || e)
+  );
+
+// save_quote refused the save: the quote was saved elsewhere after this edit loaded it
+const isVersionConflict = (e) => e?.hint === "version_conflict";
+
 /* Legacy: Create APP/H### by counting existing quotes (fallback only) */
 async function getNextQuoteNumber() {
   const { count, error } = await supabase
@@ -203,6 +1012,8 @@ useLayoutEffect(() => {
   /*** DATA ***/
   const [items, setItems] = useState([]);
   const [categories, setCategories] = useState([]);
+  // category name -> list of SPEC_FIELDS keys that apply (null = all)
+  const [categorySpecKeys, setCategorySpecKeys] = useState({});
   const [category, setCategory] = useState("All");
   const [loading, setLoading] = useState(true);
   const [msg, setMsg] = useState("");
@@ -245,7 +1056,7 @@ const closeLoginMenu = () => {
     else alert("Wrong PIN");
   };
 
-  // quotation “cart” mode (PIN 9990)
+  // quotation “cart” mode (QUOTE_PIN)
   // seed from localStorage immediately so refresh doesn't reset UI
 const __boot = (() => {
   try { return JSON.parse(localStorage.getItem("quoteState") || "{}"); }
@@ -254,30 +1065,46 @@ const __boot = (() => {
 
 const [quoteMode, setQuoteMode] = useState(() => !!__boot.quoteMode); // true = show qty steppers on catalog
 const [page, setPage] = useState(() => __boot.page || "catalog"); // "catalog" | "quoteEditor" | "savedDetailed"
+const QUOTE_PIN = "9990";
+  // the one quotation PIN check: "Login for Quotation", quote/saved routes, "Add to quote"
+  const ensureQuoteAccess = () => {
+    if (quoteMode) return true;
+    const pin = prompt("Enter quotation PIN:");
+    if ((pin || "").trim() === QUOTE_PIN) {
+      setQuoteMode(true);
+      return true;
+    }
+    alert("Wrong PIN");
+    return false;
+  };
   const enableQuoteMode = () => {
     if (quoteMode) {
       setQuoteMode(false);
       setPage("catalog");
       return;
     }
-    const pin = prompt("Enter quotation PIN:");
-    if ((pin || "").trim() === "9990") {
-      setQuoteMode(true);
-      setPage("catalog");
-    } else alert("Wrong PIN");
+    if (ensureQuoteAccess()) setPage("catalog");
   };
 
   /*** ADD/EDIT FORM (admin) ***/
   const [form, setForm] = useState({
     name: "",
+    model_code: "",
     category: "",
     mrp: "",
     sell_price: "",
     cost_price: "",
     specs: "",
-    imageFile: null,
+    attributes: {},
+    variants: [], // [{ id?, label, mrp, sell_price, cost_price, specs, attributes }]
+    accessory_ids: [], // other machines shown as accessories on the detail page
+    images: [], // already uploaded [{ url, thumb }] kept on the machine
+    imageFiles: [], // newly picked files, uploaded on save
   });
   const [saving, setSaving] = useState(false);
+  // machine row currently loaded into the form (null = adding a new product)
+  const [editingMachine, setEditingMachine] = useState(null);
+  const adminFormRef = useRef(null);
 
   /* ---------- AUTH ---------- */
   useEffect(() => {
@@ -412,43 +1239,187 @@ const magicLogin = async () => {
     setLoading(true);
     const { data, error } = await supabase
       .from("machines")
-      .select("*")
+      .select("*, variants:machine_variants(*)")
       .order("created_at", { ascending: false });
-    if (error) setMsg("Supabase error: " + error.message);
-    else setItems(data || []);
+    if (error) {
+      // offline: fall back to the catalog from the last successful load
+      const cache = readCatalogCache();
+      if (Array.isArray(cache.machines)) {
+        setItems(cache.machines);
+        setMsg(`Offline — showing the catalog saved on ${new Date(cache.at).toLocaleString("en-IN")}.`);
+      } else setMsg("Supabase error: " + error.message);
+    } else {
+      const list = (data || []).map((m) => ({
+        ...m,
+        variants: [...(m.variants || [])].sort(
+          (a, b) => (a.sort ?? 0) - (b.sort ?? 0) || Number(a.mrp || 0) - Number(b.mrp || 0)
+        ),
+      }));
+      setItems(list);
+      setMsg("");
+      writeCatalogCache({ machines: list });
+    }
     setLoading(false);
   };
   const loadCategories = async () => {
-    const { data } = await supabase
+    let { data, error } = await supabase
       .from("categories")
-      .select("name")
+      .select("name, spec_keys")
       .order("name");
+    if (error) data = readCatalogCache().categories || [];
+    else writeCatalogCache({ categories: data || [] });
     setCategories((data || []).map((r) => r.name));
+    setCategorySpecKeys(
+      Object.fromEntries((data || []).map((r) => [r.name, r.spec_keys || null]))
+    );
+  };
+  // Firm profiles (letterhead, bank, terms, numbering); the firm helpers are given this list.
+  // Starts from the last loaded list, so an offline start still prints the right letterhead.
+  const [firms, setFirms] = useState(() => {
+    const cached = readCatalogCache().firms;
+    return Array.isArray(cached) && cached.length ? cached : DEFAULT_FIRMS;
+  });
+  const loadFirms = async () => {
+    let { data, error } = await supabase
+      .from("firms")
+      .select("*, default_terms:terms_templates(body)")
+      .order("sort_order");
+    if (error) data = readCatalogCache().firms || null;
+    else writeCatalogCache({ firms: data || [] });
+    setFirms(Array.isArray(data) && data.length ? data : DEFAULT_FIRMS);
+  };
+  // firms a new quote / brochure can be issued as
+  const activeFirms = firms.filter((f) => f.active !== false);
+
+  // Named T&C templates ({ id, name, body }); the editor and the firm form pick from these
+  const [termsTemplates, setTermsTemplates] = useState(() => readCatalogCache().termsTemplates || []);
+  const loadTermsTemplates = async () => {
+    const { data, error } = await supabase.from("terms_templates").select("id, name, body").order("name");
+    if (error) return console.warn("T&C templates not loaded:", error.message);
+    setTermsTemplates(data || []);
+    writeCatalogCache({ termsTemplates: data || [] });
   };
+
   useEffect(() => {
     loadMachines();
     loadCategories();
+    loadFirms();
+    loadTermsTemplates();
   }, []);
 
   /* ---------- SEARCH / FILTER ---------- */
   const [search, setSearch] = useState("");
-  const filtered = useMemo(() => {
-    let arr = items;
+  // spec attribute filters shown next to the category chips ({ hp: "15", phase: "3" })
+  const [specFilter, setSpecFilter] = useState({});
+  // machine shown on the detail page (/machine/:id)
+  const [detailMachineId, setDetailMachineId] = useState(null);
+
+  // category chip click: spec filters belong to the old category, so drop them
+  const selectCategory = (c) => {
+    setCategory(c);
+    setSpecFilter({});
+  };
+
+  const categoryItems = useMemo(() => {
+    // archived machines stay in the table for old quotes; only admins see them
+    let arr = isAdmin ? items : items.filter((m) => !m.archived);
     if (category !== "All") {
       arr = arr.filter(
         (m) => (m.category || "").toLowerCase() === category.toLowerCase()
       );
     }
-    if (search.trim()) {
-      const q = search.toLowerCase();
-      arr = arr.filter(
-        (m) =>
-          (m.name || "").toLowerCase().includes(q) ||
-          (m.specs || "").toLowerCase().includes(q)
-      );
-    }
     return arr;
-  }, [items, category, search]);
+  }, [items, category, isAdmin]);
+
+  // Filter controls: only fields that apply to this category AND have values
+  const specFilterOptions = useMemo(() => {
+    const fields =
+      category === "All" ? SPEC_FIELDS : specFieldsFor(categorySpecKeys[category]);
+    return fields
+      .map((f) => {
+        const values = [
+          ...new Set(
+            categoryItems
+              .map((m) => m.attributes?.[f.key])
+              .filter((v) => v != null && v !== "")
+              .map(String)
+          ),
+        ].sort((a, b) => Number(a) - Number(b) || a.localeCompare(b));
+        return { field: f, values };
+      })
+      .filter((o) => o.values.length > 0);
+  }, [categoryItems, category, categorySpecKeys]);
+
+  const catalogItems = useMemo(() => {
+    const active = Object.entries(specFilter).filter(([, v]) => v !== "");
+    if (!active.length) return categoryItems;
+    return categoryItems.filter((m) =>
+      active.every(([k, v]) => String(m.attributes?.[k] ?? "") === v)
+    );
+  }, [categoryItems, specFilter]);
+
+  const catalogFuse = useMemo(
+    () => new Fuse(catalogItems, CATALOG_FUSE_OPTIONS),
+    [catalogItems]
+  );
+
+  // Fuzzy results ranked by score; `searchHits` maps machine id -> { field: ranges }
+  const { filtered, searchHits } = useMemo(() => {
+    const q = search.trim();
+    if (!q) return { filtered: catalogItems, searchHits: {} };
+    const hits = {};
+    const list = catalogFuse.search(q).map((res) => {
+      const byKey = {};
+      (res.matches || []).forEach((mt) => {
+        byKey[mt.key] = [...(byKey[mt.key] || []), ...mt.indices];
+      });
+      hits[res.item.id] = byKey;
+      return res.item;
+    });
+    return { filtered: list, searchHits: hits };
+  }, [catalogItems, catalogFuse, search]);
+
+  const detailMachine = useMemo(
+    () => items.find((m) => String(m.id) === String(detailMachineId)) || null,
+    [items, detailMachineId]
+  );
+  const [detailImgIdx, setDetailImgIdx] = useState(0);
+  useEffect(() => setDetailImgIdx(0), [detailMachineId]);
+
+  // linked accessories, or other machines of the same category when none are set
+  const detailRelated = useMemo(() => {
+    const m = detailMachine;
+    if (!m) return { title: "", list: [] };
+    const visible = items.filter((x) => x.id !== m.id && (isAdmin || !x.archived));
+    const ids = m.accessory_ids || [];
+    if (ids.length) {
+      return { title: "Accessories", list: visible.filter((x) => ids.includes(x.id)) };
+    }
+    return {
+      title: m.category ? `More in ${m.category}` : "",
+      list: visible.filter((x) => x.category && x.category === m.category).slice(0, 4),
+    };
+  }, [detailMachine, items, isAdmin]);
+
+  const openMachine = (m) => {
+    setDetailMachineId(m.id);
+    setPage("machine");
+    window.scrollTo(0, 0);
+  };
+
+  // back from a detail page: bring that machine's card into view again
+  useEffect(() => {
+    if (page !== "catalog" || !detailMachineId || loading) return;
+    const el = document.getElementById(`machine-${detailMachineId}`);
+    if (el) el.scrollIntoView({ block: "center" });
+    setDetailMachineId(null);
+  }, [page, detailMachineId, loading]);
+
+  // page title doubles as the WhatsApp / browser-tab label
+  useEffect(() => {
+    document.title =
+      page === "machine" && detailMachine ? `${detailMachine.name} – HVF Agency` : "HVF Machinery Catalog";
+  }, [page, detailMachine]);
 
   // Center the active category chip on phones (on change, first load, and resize)
 const centerActiveChip = () => {
@@ -479,12 +1450,180 @@ useEffect(() => {
   return () => window.removeEventListener("resize", onResize);
 }, []);
 
-  /* ---------- ADMIN: ADD PRODUCT ---------- */
+  /* ---------- ADMIN: ADD / EDIT PRODUCT ---------- */
   const onChange = (e) => {
     const { name, value, files } = e.target;
-    if (files) setForm((f) => ({ ...f, imageFile: files[0] || null }));
-    else setForm((f) => ({ ...f, [name]: value }));
+    if (files) {
+      const picked = Array.from(files);
+      setForm((f) => ({ ...f, imageFiles: [...f.imageFiles, ...picked] }));
+      e.target.value = ""; // allow picking the same file again
+    } else setForm((f) => ({ ...f, [name]: value }));
+  };
+
+  const removeNewImage = (idx) =>
+    setForm((f) => ({ ...f, imageFiles: f.imageFiles.filter((_, i) => i !== idx) }));
+  const removeKeptImage = (idx) =>
+    setForm((f) => ({ ...f, images: f.images.filter((_, i) => i !== idx) }));
+  const makeCoverImage = (idx) =>
+    setForm((f) => ({ ...f, images: [f.images[idx], ...f.images.filter((_, i) => i !== idx)] }));
+
+  // Compress one product photo, upload full + thumb into the `images` bucket
+  // and return their public URLs as { url, thumb }
+  const uploadProductImage = async (file, name) => {
+    const safeBase = String(name || "")
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .slice(0, 40);
+    const stamp = `${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+    const [full, thumb] = await Promise.all([
+      compressImage(file, PHOTO_FULL),
+      compressImage(file, PHOTO_THUMB),
+    ]);
+    const put = async (blob, filePath) => {
+      const { error: upErr } = await supabase.storage
+        .from("images")
+        .upload(filePath, blob, {
+          cacheControl: "31536000",
+          contentType: "image/jpeg",
+        });
+      if (upErr) throw new Error("UPLOAD: " + upErr.message);
+      const { data: urlData } = supabase.storage.from("images").getPublicUrl(filePath);
+      return urlData.publicUrl;
+    };
+    return {
+      url: await put(full, `products/${stamp}-${safeBase}.jpg`),
+      thumb: await put(thumb, `products/thumbs/${stamp}-${safeBase}.jpg`),
+    };
+  };
+
+  // images array -> machine columns (first photo is the cover)
+  const imageColumns = (images) => ({
+    images,
+    image_url: images[0]?.url || null,
+    thumb_url: images[0]?.thumb || null,
+  });
+
+  // Best-effort removal of an old product photo (ignored if the URL isn't ours)
+  const removeProductImage = async (url) => {
+    const marker = "/object/public/images/";
+    const at = String(url || "").indexOf(marker);
+    if (at === -1) return;
+    const path = decodeURIComponent(String(url).slice(at + marker.length));
+    const { error } = await supabase.storage.from("images").remove([path]);
+    if (error) console.warn("Could not remove old image:", error.message);
+  };
+
+  // Remove full + thumb files of the given gallery entries
+  const removeProductImages = async (images) => {
+    for (const img of images) {
+      await removeProductImage(img.url);
+      if (img.thumb && img.thumb !== img.url) await removeProductImage(img.thumb);
+    }
+  };
+
+  const resetForm = () => {
+    setForm({
+      name: "",
+      model_code: "",
+      category: "",
+      mrp: "",
+      sell_price: "",
+      cost_price: "",
+      specs: "",
+      attributes: {},
+      variants: [],
+      accessory_ids: [],
+      images: [],
+      imageFiles: [],
+    });
+    setEditingMachine(null);
+  };
+
+  // Load a catalog card into the admin form (edit mode)
+  const startEditMachine = (m) => {
+    setEditingMachine(m);
+    setForm({
+      name: m.name || "",
+      model_code: m.model_code || "",
+      category: m.category || "",
+      mrp: m.mrp != null ? String(m.mrp) : "",
+      sell_price: m.sell_price != null ? String(m.sell_price) : "",
+      cost_price: m.cost_price != null ? String(m.cost_price) : "",
+      specs: m.specs || "",
+      attributes: Object.fromEntries(
+        Object.entries(m.attributes || {}).map(([k, v]) => [k, String(v ?? "")])
+      ),
+      variants: (m.variants || []).map((v) => ({
+        id: v.id,
+        label: v.label || "",
+        mrp: v.mrp != null ? String(v.mrp) : "",
+        sell_price: v.sell_price != null ? String(v.sell_price) : "",
+        cost_price: v.cost_price != null ? String(v.cost_price) : "",
+        specs: v.specs || "",
+        attributes: Object.fromEntries(
+          Object.entries(v.attributes || {}).map(([k, val]) => [k, String(val ?? "")])
+        ),
+      })),
+      accessory_ids: m.accessory_ids || [],
+      images: machineImages(m),
+      imageFiles: [],
+    });
+    if (adminFormRef.current) {
+      adminFormRef.current.open = true;
+      adminFormRef.current.scrollIntoView({ behavior: "smooth", block: "start" });
+    }
   };
+
+  // --- variant rows inside the admin form ---
+  const addVariantRow = () =>
+    setForm((f) => ({
+      ...f,
+      variants: [
+        ...f.variants,
+        { label: "", mrp: "", sell_price: "", cost_price: "", specs: "", attributes: {} },
+      ],
+    }));
+  const setVariantField = (idx, key, value) =>
+    setForm((f) => ({
+      ...f,
+      variants: f.variants.map((v, i) => (i === idx ? { ...v, [key]: value } : v)),
+    }));
+  // a variant's own spec attribute (blank = same as the machine's)
+  const setVariantAttr = (idx, key, value) =>
+    setForm((f) => ({
+      ...f,
+      variants: f.variants.map((v, i) =>
+        i === idx ? { ...v, attributes: { ...v.attributes, [key]: value } } : v
+      ),
+    }));
+  const removeVariantRow = (idx) =>
+    setForm((f) => ({ ...f, variants: f.variants.filter((_, i) => i !== idx) }));
+
+  // Save the machine row and replace its variants with the form rows in one save_machine call
+  // (one transaction: kept variant ids updated, new rows added, dropped ones deleted — all or
+  // nothing). machineId null adds the machine; returns its id.
+  const saveMachine = async (machineId, payload, rows, category) => {
+    const keys = specFieldsFor(categorySpecKeys[category]).map((f) => f.key);
+    const { data, error } = await supabase.rpc("save_machine", {
+      p_machine_id: machineId,
+      p_machine: payload,
+      p_variants: rows.map((v, i) => ({
+        id: v.id || null,
+        label: v.label.trim(),
+        mrp: Number(v.mrp),
+        sell_price: v.sell_price ? Number(v.sell_price) : null,
+        cost_price: v.cost_price ? Number(v.cost_price) : null,
+        specs: v.specs || "",
+        // only attributes that apply to the machine's category
+        attributes: cleanSpecAttributes(Object.fromEntries(keys.map((k) => [k, v.attributes?.[k]]))),
+        sort: i,
+      })),
+    });
+    if (error) throw new Error("SAVE: " + error.message);
+    return data;
+  };
+
   const onSave = async (e) => {
   e.preventDefault();
   if (!isAdmin) return alert("Admins only.");
@@ -496,55 +1635,53 @@ useEffect(() => {
     return;
   }
 
-  if (!form.name || !form.category || !form.mrp || !form.imageFile) {
-    return alert("Name, Category, MRP and Image are required.");
+  const isEdit = !!editingMachine;
+  const hasVariants = form.variants.length > 0;
+  const hasImage = form.images.length + form.imageFiles.length > 0;
+  if (!form.name || !form.category || (!hasVariants && !form.mrp) || !hasImage) {
+    // with variants the prices come from them, so only then is MRP not needed
+    const needed = ["Name", "Category", !hasVariants && "MRP (or variants with MRPs)", "Image"];
+    return alert(`${needed.filter(Boolean).join(", ")} are required.`);
+  }
+  if (form.variants.some((v) => !v.label.trim() || !(Number(v.mrp) > 0))) {
+    return alert("Every variant needs a label and an MRP.");
   }
     setSaving(true);
     try {
-      const ext = form.imageFile.name.split(".").pop().toLowerCase();
-      const safeBase = form.name
-        .trim()
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, "-")
-        .slice(0, 40);
-      const filePath = `products/${Date.now()}-${safeBase}.${ext}`;
-      const { error: upErr } = await supabase.storage
-  .from("images")
-  .upload(filePath, form.imageFile, {
-    cacheControl: "3600",
-    contentType: form.imageFile.type || "image/jpeg",
-  });
-      if (upErr) throw new Error("UPLOAD: " + upErr.message);
-      const { data: urlData, error: urlErr } = supabase.storage
-        .from("images")
-        .getPublicUrl(filePath);
-      if (urlErr) throw new Error("URL: " + urlErr.message);
-      const image_url = urlData.publicUrl;
-
       const payload = {
         name: form.name,
+        model_code: form.model_code.trim() || null,
         category: form.category,
-        mrp: Number(form.mrp),
+        // with variants, the card shows "From ₹…" = the cheapest variant
+        mrp: hasVariants
+          ? Math.min(...form.variants.map((v) => Number(v.mrp)))
+          : Number(form.mrp),
         sell_price: form.sell_price ? Number(form.sell_price) : null,
         cost_price: form.cost_price ? Number(form.cost_price) : null,
         specs: form.specs || "",
-        image_url,
+        attributes: cleanSpecAttributes(
+          // only keep attributes that apply to the chosen category
+          Object.fromEntries(
+            specFieldsFor(categorySpecKeys[form.category]).map((f) => [f.key, form.attributes?.[f.key]])
+          )
+        ),
+        accessory_ids: form.accessory_ids.filter((id) => id !== editingMachine?.id),
       };
-      const { error: insErr } = await supabase
-        .from("machines")
-        .insert(payload);
-      if (insErr) throw new Error("INSERT: " + insErr.message);
-      setForm({
-        name: "",
-        category: "",
-        mrp: "",
-        sell_price: "",
-        cost_price: "",
-        specs: "",
-        imageFile: null,
-      });
+      // Kept photos first (in their chosen order), then the newly picked ones
+      const uploaded = [];
+      for (const file of form.imageFiles) {
+        uploaded.push(await uploadProductImage(file, form.name));
+      }
+      Object.assign(payload, imageColumns([...form.images, ...uploaded]));
+
+      await saveMachine(editingMachine?.id || null, payload, form.variants, form.category);
+      if (isEdit) {
+        const kept = new Set(form.images.map((img) => img.url));
+        await removeProductImages(machineImages(editingMachine).filter((img) => !kept.has(img.url)));
+      }
+      resetForm();
       await loadMachines();
-      alert("Product added ✅");
+      alert(isEdit ? "Product updated ✅" : "Product added ✅");
     } catch (err) {
       console.error(err);
       alert(err.message);
@@ -553,6 +1690,364 @@ useEffect(() => {
     }
   };
 
+  // Archive hides a machine from the catalog but keeps the row, so old
+  // quote_items that point at it (machine_id) still resolve.
+  const toggleArchiveMachine = async (m) => {
+    if (!isAdmin) return alert("Admins only.");
+    const next = !m.archived;
+    if (next && !confirm(`Archive "${m.name}"? It will be hidden from the catalog.`)) return;
+    try {
+      const { error } = await supabase
+        .from("machines")
+        .update({ archived: next })
+        .eq("id", m.id);
+      if (error) throw error;
+      if (editingMachine?.id === m.id) resetForm();
+      await loadMachines();
+    } catch (err) {
+      console.error(err);
+      alert(err?.message || "Could not update the product.");
+    }
+  };
+
+  // Hard delete — refused while any saved quote line still references the machine
+  const deleteMachine = async (m) => {
+    if (!isAdmin) return alert("Admins only.");
+    if (
+      !confirm(
+        `Delete "${m.name}"? This cannot be undone.\n` +
+          "Old quotes that listed it under an earlier name are not checked; archive it if unsure."
+      )
+    ) return;
+    try {
+      const { count: linked, error: cErr } = await supabase
+        .from("quote_items")
+        .select("id", { count: "exact", head: true })
+        .eq("machine_id", m.id);
+      if (cErr) throw cErr;
+      // lines saved before quote_items had machine_id only carry the machine's name
+      const { count: legacy, error: lErr } = await supabase
+        .from("quote_items")
+        .select("id", { count: "exact", head: true })
+        .is("machine_id", null)
+        .eq("name", m.name);
+      if (lErr) throw lErr;
+      const count = (linked || 0) + (legacy || 0);
+      if (count) {
+        alert(
+          `"${m.name}" is used in ${count} saved quotation line${count === 1 ? "" : "s"}.\n` +
+          "Archive it instead so old quotes keep working."
+        );
+        return;
+      }
+
+      const { error } = await supabase.from("machines").delete().eq("id", m.id);
+      if (error) throw error;
+      await removeProductImages(machineImages(m));
+      if (editingMachine?.id === m.id) resetForm();
+      await loadMachines();
+      alert("Product deleted ✅");
+    } catch (err) {
+      console.error(err);
+      alert(err?.message || "Could not delete the product.");
+    }
+  };
+
+  /* ---------- ADMIN: BULK IMPORT (CSV / XLSX) ---------- */
+  const [importRecords, setImportRecords] = useState([]); // raw rows from the sheet
+  const [importFileName, setImportFileName] = useState("");
+  const [importImages, setImportImages] = useState({});   // lower-case filename -> File
+  const [importing, setImporting] = useState(false);
+
+  const onImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow picking the same file again after edits
+    if (!file) return;
+    try {
+      const records = sheetToImportRecords(await readImportFile(file));
+      setImportRecords(records);
+      setImportFileName(file.name);
+    } catch (err) {
+      console.error(err);
+      alert(err?.message || "Could not read the file.");
+    }
+  };
+
+  const onImportImages = (e) => {
+    const files = Array.from(e.target.files || []);
+    setImportImages((prev) => {
+      const next = { ...prev };
+      files.forEach((f) => { next[f.name.toLowerCase()] = f; });
+      return next;
+    });
+  };
+
+  const clearImport = () => {
+    setImportRecords([]);
+    setImportFileName("");
+    setImportImages({});
+  };
+
+  // Validate every row and match it to an existing machine (model code first, then name)
+  const importPreview = useMemo(() => {
+    const byCode = new Map();
+    const byName = new Map();
+    items.forEach((m) => {
+      if (m.model_code) byCode.set(String(m.model_code).trim().toLowerCase(), m);
+      if (m.name) byName.set(String(m.name).trim().toLowerCase(), m);
+    });
+    const catByLower = new Map(categories.map((c) => [c.toLowerCase(), c]));
+    const seen = new Map();
+
+    return importRecords.map((r) => {
+      const errors = [];
+      const warnings = [];
+      const name = r.name || "";
+      const model_code = r.model_code || "";
+      const mrp = toImportNumber(r.mrp);
+      const sell_price = toImportNumber(r.sell_price);
+      const cost_price = toImportNumber(r.cost_price);
+
+      if (!name) errors.push("Missing name");
+      if (mrp == null) errors.push("Missing MRP");
+      else if (Number.isNaN(mrp) || mrp <= 0) errors.push(`Invalid MRP "${r.mrp}"`);
+      if (Number.isNaN(sell_price)) errors.push(`Invalid sell price "${r.sell_price}"`);
+      if (Number.isNaN(cost_price)) errors.push(`Invalid cost price "${r.cost_price}"`);
+
+      const category = catByLower.get(String(r.category || "").toLowerCase()) || "";
+      if (!r.category) errors.push("Missing category");
+      else if (!category) errors.push(`Unknown category "${r.category}"`);
+
+      const key = (model_code || name).toLowerCase();
+      if (key && seen.has(key)) errors.push(`Duplicate of row ${seen.get(key)}`);
+      else if (key) seen.set(key, r.line);
+
+      const match =
+        (model_code && byCode.get(model_code.toLowerCase())) ||
+        (name && byName.get(name.toLowerCase())) ||
+        null;
+
+      const imageName = String(r.image || "").trim();
+      const imageFile = imageName ? importImages[imageName.toLowerCase()] || null : null;
+      if (imageName && !imageFile) warnings.push(`Image "${imageName}" not selected`);
+      if (!match && !imageName) warnings.push("No image");
+
+      return {
+        line: r.line,
+        name,
+        model_code,
+        category,
+        mrp,
+        sell_price,
+        cost_price,
+        specs: r.specs || "",
+        imageName,
+        imageFile,
+        match,
+        errors,
+        warnings,
+      };
+    });
+  }, [importRecords, importImages, items, categories]);
+
+  const importValidCount = importPreview.filter((r) => r.errors.length === 0).length;
+
+  const runImport = async () => {
+    if (!isAdmin) return alert("Admins only.");
+    const { data: s } = await supabase.auth.getSession();
+    if (!s?.session?.user?.id) {
+      alert("Please use 'Sign in (email link)' first, then try again.");
+      return;
+    }
+    const rows = importPreview.filter((r) => r.errors.length === 0);
+    if (!rows.length) return alert("No valid rows to import.");
+
+    setImporting(true);
+    let added = 0;
+    let updated = 0;
+    const failed = [];
+    try {
+      // one row at a time so a single bad image doesn't sink the whole batch
+      for (const r of rows) {
+        try {
+          const payload = { name: r.name, category: r.category, mrp: r.mrp };
+          // optional columns: a new machine gets them as given; an existing one only
+          // where the file has a value, so an MRP-only price list keeps its other prices
+          const optional = {
+            model_code: r.model_code,
+            sell_price: r.sell_price,
+            cost_price: r.cost_price,
+            specs: r.specs,
+          };
+          Object.entries(optional).forEach(([k, v]) => {
+            if (v != null && v !== "") payload[k] = v;
+            else if (!r.match) payload[k] = k === "specs" ? "" : null;
+          });
+          // an imported photo becomes the cover; existing photos stay in the gallery
+          if (r.imageFile) {
+            const img = await uploadProductImage(r.imageFile, r.name);
+            Object.assign(payload, imageColumns([img, ...(r.match ? machineImages(r.match) : [])]));
+          }
+
+          if (r.match) {
+            const { error } = await supabase.from("machines").update(payload).eq("id", r.match.id);
+            if (error) throw error;
+            updated += 1;
+          } else {
+            const { error } = await supabase.from("machines").insert(payload);
+            if (error) throw error;
+            added += 1;
+          }
+        } catch (err) {
+          console.error("Import row failed:", r.line, err);
+          failed.push(`Row ${r.line}: ${err?.message || err}`);
+        }
+      }
+      await loadMachines();
+      alert(
+        `Import finished ✅\nAdded: ${added} • Updated: ${updated}` +
+        (failed.length ? `\n\nFailed (${failed.length}):\n${failed.join("\n")}` : "")
+      );
+      if (!failed.length) clearImport();
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  /* ---------- ADMIN: FIRM PROFILES ---------- */
+  // firmForm: the firm being edited (bank lines as one-per-line text), or null
+  const [firmForm, setFirmForm] = useState(null);
+  const [firmSaving, setFirmSaving] = useState(false);
+
+  const editFirm = (f) =>
+    setFirmForm({
+      isNew: !f,
+      name: f?.name || "",
+      address: f?.address || "",
+      gstin: f?.gstin || "",
+      phone: f?.phone || "",
+      bank_text: (f?.bank_lines || []).join("\n"),
+      default_terms_id: f?.default_terms_id || "",
+      logo_url: f?.logo_url || "",
+      doc_title: f?.doc_title || "QUOTATION",
+      number_prefix: f?.number_prefix || "",
+      number_digits: f?.number_digits ?? 3,
+      layout: f?.layout || "hvf",
+      sort_order: f?.sort_order ?? firms.length + 1,
+      active: f?.active !== false,
+    });
+
+  const onFirmField = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFirmForm((f) => ({ ...f, [name]: type === "checkbox" ? checked : value }));
+  };
+
+  const onFirmLogo = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const ext = (file.name.split(".").pop() || "png").toLowerCase();
+      const filePath = `firms/${Date.now()}-${Math.random().toString(36).slice(2, 6)}.${ext}`;
+      const { error: upErr } = await supabase.storage
+        .from("images")
+        .upload(filePath, file, { cacheControl: "31536000", contentType: file.type || undefined });
+      if (upErr) throw upErr;
+      const { data: urlData } = supabase.storage.from("images").getPublicUrl(filePath);
+      setFirmForm((f) => ({ ...f, logo_url: urlData.publicUrl }));
+    } catch (err) {
+      alert("Logo upload failed: " + (err?.message || err));
+    }
+  };
+
+  const saveFirm = async (e) => {
+    e.preventDefault();
+    const f = firmForm;
+    const name = f.name.trim();
+    const prefix = f.number_prefix.trim();
+    const lines = (text) => text.split("\n").map((l) => l.trim()).filter(Boolean);
+
+    if (!name) return alert("Firm name is required.");
+    if (name === "Internal" || name === "All") return alert(`"${name}" is reserved.`);
+    if (f.isNew && firms.some((x) => x.name === name)) return alert("A firm with this name already exists.");
+    if (!prefix) return alert("Number prefix is required (e.g. APP/H).");
+    if (/^INT\//i.test(prefix)) return alert("INT/ is reserved for internal quotes.");
+    const clash = firms.find(
+      (x) => x.name !== name && (x.number_prefix.startsWith(prefix) || prefix.startsWith(x.number_prefix))
+    );
+    if (clash) return alert(`Prefix overlaps with ${clash.name} (${clash.number_prefix}).`);
+
+    setFirmSaving(true);
+    try {
+      const { error } = await supabase.from("firms").upsert(
+        {
+          name,
+          address: f.address.trim(),
+          gstin: f.gstin.trim().toUpperCase(),
+          phone: f.phone.trim(),
+          bank_lines: lines(f.bank_text),
+          default_terms_id: f.default_terms_id || null,
+          logo_url: f.logo_url.trim() || null,
+          doc_title: f.doc_title.trim() || "QUOTATION",
+          number_prefix: prefix,
+          number_digits: Math.max(0, Math.min(6, Number(f.number_digits) || 0)),
+          layout: f.layout,
+          sort_order: Number(f.sort_order) || 0,
+          active: !!f.active,
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: "name" }
+      );
+      if (error) throw error;
+      await loadFirms();
+      setFirmForm(null);
+      alert("Firm saved ✅");
+    } catch (err) {
+      console.error(err);
+      alert("Could not save firm: " + (err?.message || err));
+    } finally {
+      setFirmSaving(false);
+    }
+  };
+
+  /* ---------- ADMIN: T&C TEMPLATES ---------- */
+  const [termsForm, setTermsForm] = useState(null); // { id?, name, body } being edited
+  const [termsSaving, setTermsSaving] = useState(false);
+
+  const saveTermsTemplate = async (e) => {
+    e.preventDefault();
+    const name = termsForm.name.trim();
+    if (!name) return alert("Template name is required.");
+    if (!termsLines(termsForm.body).length) return alert("Add at least one condition.");
+    setTermsSaving(true);
+    try {
+      const row = { name, body: termsLines(termsForm.body).join("\n"), updated_at: new Date().toISOString() };
+      const { error } = termsForm.id
+        ? await supabase.from("terms_templates").update(row).eq("id", termsForm.id)
+        : await supabase.from("terms_templates").insert(row);
+      if (error) throw error;
+      await Promise.all([loadTermsTemplates(), loadFirms()]); // firms embed their default's text
+      setTermsForm(null);
+      alert("Template saved ✅");
+    } catch (err) {
+      console.error(err);
+      alert("Could not save template: " + (err?.message || err));
+    } finally {
+      setTermsSaving(false);
+    }
+  };
+
+  const deleteTermsTemplate = async (t) => {
+    const users = firms.filter((f) => f.default_terms_id === t.id).map((f) => f.name);
+    const msg = users.length
+      ? `"${t.name}" is the default for ${users.join(", ")}. Their quotes will print no Terms & Conditions until another default is picked. Delete?`
+      : `Delete "${t.name}"?`;
+    if (!window.confirm(msg)) return;
+    const { error } = await supabase.from("terms_templates").delete().eq("id", t.id);
+    if (error) return alert("Could not delete template: " + error.message);
+    await Promise.all([loadTermsTemplates(), loadFirms()]);
+  };
+
 // === GST breakdown toggle (global; remembered across sessions) ===
 const [gstBreakdown, setGstBreakdown] = useState(() => {
   try { return localStorage.getItem("hvf_gst_breakdown") === "1"; }
@@ -575,10 +2070,12 @@ const [cart, setCart] = useState(() => {
 });
 const cartList = Object.values(cart);
 const cartCount = cartList.reduce((a, r) => a + (r.qty || 0), 0);
-const cartSubtotal = cartList.reduce(
-  (a, r) => a + (r.qty || 0) * (r.unit || 0),
-  0
+const pricing = useMemo(
+  () => priceQuote(cartList, { type: qHeader.discount_type, value: qHeader.discount_value }),
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  [cart, qHeader.discount_type, qHeader.discount_value]
 );
+const cartSubtotal = pricing.grand; // payable, after line + overall discounts
 
 // --- GST breakdown derived data (rows + totals in one memo) ---
 const gstCalc = useMemo(() => {
@@ -610,30 +2107,104 @@ const gstCalc = useMemo(() => {
 }, [gstBreakdown, cartList]);
 // Usage later: gstCalc.rows / gstCalc.totalIncl / gstCalc.totalExcl
 
-  const inc = (m) =>
+  // Cart key: machine id, or "machineId:variantId" for a specific variant
+  const cartKey = (m, v) => (v ? `${m.id}:${v.id}` : m.id);
+
+  const inc = (m, v) =>
     setCart((c) => {
+      const key = cartKey(m, v);
       const prev =
-        c[m.id] || {
-          id: m.id,
+        c[key] || {
+          id: key,
+          machine_id: m.id,
+          variant_id: v?.id || null,
+          variant_label: v?.label || "",
           name: m.name,
-          specs: m.specs || "",
-          unit: Number(m.mrp || 0),
+          specs: (v?.specs || m.specs) || "",
+          attributes: v?.attributes
+            ? { ...(m.attributes || {}), ...v.attributes }
+            : m.attributes || null,
+          unit: Number((v ? v.mrp : m.mrp) || 0),
           qty: 0,
         };
-      return { ...c, [m.id]: { ...prev, qty: prev.qty + 1 } };
+      return { ...c, [key]: { ...prev, qty: prev.qty + 1 } };
     });
-  const dec = (m) =>
+  const dec = (m, v) =>
     setCart((c) => {
-      const prev = c[m.id];
+      const key = cartKey(m, v);
+      const prev = c[key];
       if (!prev) return c;
       const q = Math.max(0, prev.qty - 1);
       const nx = { ...prev, qty: q };
       const obj = { ...c };
-      if (q === 0) delete obj[m.id];
-      else obj[m.id] = nx;
+      if (q === 0) delete obj[key];
+      else obj[key] = nx;
       return obj;
     });
 
+  // total qty of a machine in the cart across all of its variants
+  const machineQty = (m) =>
+    cartList.reduce((a, r) => a + (r.machine_id === m.id ? r.qty || 0 : 0), 0);
+
+  // qty stepper / "Add" button for a machine (catalog card and detail page)
+  // archived machines (listed for admins only) cannot be added to a quote
+  const quoteControls = (m) => !m.archived && (
+    <div className="addbar">
+      {m.variants?.length > 0 ? (
+        // variant machines: the picker decides which variant line changes
+        machineQty(m) > 0 ? (
+          <div className="qtywrap" role="group" aria-label="Quantity selector">
+            <button className="op" onClick={() => setVariantPick(m)} aria-label="Decrease">−</button>
+            <div className="num">{machineQty(m)}</div>
+            <button className="op" onClick={() => setVariantPick(m)} aria-label="Increase">+</button>
+          </div>
+        ) : (
+          <button className="addbtn" onClick={() => setVariantPick(m)}>Add…</button>
+        )
+      ) : (cart[m.id]?.qty || 0) > 0 ? (
+        <div className="qtywrap" role="group" aria-label="Quantity selector">
+          <button className="op" onClick={() => dec(m)} aria-label="Decrease">−</button>
+          <div className="num">{cart[m.id]?.qty || 0}</div>
+          <button className="op" onClick={() => inc(m)} aria-label="Increase">+</button>
+        </div>
+      ) : (
+        <button className="addbtn" onClick={() => inc(m)}>Add</button>
+      )}
+    </div>
+  );
+
+  // machine whose variant picker is open (catalog stepper asks which variant to add)
+  const [variantPick, setVariantPick] = useState(null);
+
+  // photo gallery opened from a catalog card: { name, images, index }
+  const [gallery, setGallery] = useState(null);
+  const galleryTouchX = useRef(null);
+  const openGallery = (m, index = 0) => {
+    const images = machineImages(m);
+    if (images.length) setGallery({ name: m.name, images, index });
+  };
+
+  // WhatsApp share of the detail page link (also works from a phone's browser)
+  const shareMachine = (m) => {
+    const url = `${window.location.origin}/machine/${encodeURIComponent(m.id)}`;
+    const text = `${m.name}${m.model_code ? ` (${m.model_code})` : ""} – HVF Agency\n${url}`;
+    window.open(`https://wa.me/?text=${encodeURIComponent(text)}`, "_blank", "noopener");
+  };
+  const stepGallery = (d) =>
+    setGallery((g) => g && { ...g, index: (g.index + d + g.images.length) % g.images.length });
+
+  // arrows / Esc while the gallery is open
+  useEffect(() => {
+    if (!gallery) return;
+    const onKey = (e) => {
+      if (e.key === "ArrowRight") stepGallery(1);
+      else if (e.key === "ArrowLeft") stepGallery(-1);
+      else if (e.key === "Escape") setGallery(null);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [gallery]);
+
   // Create a new editable blank line item (not in catalog)
   const addBlankRow = () => {
     const id = `custom-${Date.now()}-${Math.random()
@@ -670,6 +2241,9 @@ function exportPDFSmart() {
 
 
   /* ---------- QUOTE EDITOR HEADER ---------- */
+  const [firm, setFirm] = useState("HVF Agency");
+  // the editor firm's own state: a customer there pays CGST + SGST, elsewhere IGST
+  const homeState = firmHomeState(firms, firm);
   const [qHeader, setQHeader] = useState({
     number: "",
     date: todayStr(),
@@ -677,14 +2251,26 @@ function exportPDFSmart() {
     address: "",
     phone: "",
     subject: "",
+    customer_state: homeState,
+    discount_type: "pct", // overall discount
+    discount_value: 0,
+    terms: null, // null = firm's default T&C template
+    version: null, // row version this edit started from (optimistic locking)
+    revise_of: null, // saved quote this edit revises: a changed save becomes its next revision
+    customer_id: null, // customers row (set when picked from the list or after saving)
+    customer_gstin: "",
+    save_key: null, // placeholder number key of this editor session (see writeQuote)
   });
 
 
 
 const [editingQuoteId, setEditingQuoteId] = useState(null);
 
-  const [firm, setFirm] = useState("HVF Agency");
 const [savedOnce, setSavedOnce] = useState(false);
+const [saveFailed, setSaveFailed] = useState(null); // { message, finalize } of the last failed save
+const [saveConflict, setSaveConflict] = useState(null); // { finalize, theirs, diff } when another device saved first
+const [quoteRevisions, setQuoteRevisions] = useState([]); // every revision of the quote in the editor, oldest first
+const [revCompare, setRevCompare] = useState(null); // "Compare revisions": { a, b } ids + busy | diff | error
 
 
 
@@ -721,81 +2307,59 @@ useEffect(() => {
   // whenever cart, qHeader, page, quoteMode, or firm changes, save them
 useEffect(() => {
   if (!hydrated) return; // don't overwrite before we've restored once
-  saveQuoteState({ cart, qHeader, page, quoteMode, firm });
+  // the detail / customer pages come back through their URL, not through localStorage
+  saveQuoteState({
+    cart,
+    qHeader,
+    page: page === "machine" ? "catalog" : page === "customer" ? "savedDetailed" : page,
+    quoteMode,
+    firm,
+  });
 }, [hydrated, cart, qHeader, page, quoteMode, firm]);
 
+// firm tab requested by the URL, consumed when the Saved page opens
+const routeFirmRef = useRef(null);
+
 // When the app lands on the Saved Detailed page (e.g. after a refresh),
 // fetch the data and reset the firm filter to All.
 // Also load delivered rows from Supabase so all devices stay in sync.
 useEffect(() => {
   if (page === "savedDetailed") {
-    setSavedFirmFilter("All");
+    // a /saved?firm=… deep link picks the tab instead of "All"
+    setSavedFirmFilter(routeFirmRef.current || "All");
+    routeFirmRef.current = null;
     loadSavedDetailed();
     dbFetchDelivered(); // fire-and-forget; it updates deliveredRowsDB state
   }
 }, [page]);
 
-  // Ensure we have a firm-correct number, but do NOT reserve a new one
-// if a valid number already exists in the editor state.
-const ensureFirmNumber = async () => {
-  // Internal quotes: never have a reference number
-  if (firm === "Internal") {
-    if (qHeader.number) setQHeader((h) => ({ ...h, number: "" }));
-    return "";
-  }
-
-  const n = qHeader.number;
-
-  // 1) If there is already a number and it matches this firm's format,
-  //    just reuse it. Do NOT touch the counter.
-  if (n && numberMatchesFirm(firm, n)) {
-    return n;
-  }
-
-  // 2) Otherwise, reserve a NEW code from Supabase (text like "APP/H048")
-try {
-  const { data, error } = await supabase.rpc("next_quote_code", {
-    p_firm: firm,
-  });
-  if (error || !data || String(data).trim() === "") {
-    throw error || new Error("No code returned");
-  }
-  const today = todayStr();
-setQHeader((h) => ({ ...h, number: String(data).trim(), date: today }));
-setSavedOnce(false); // brand new code, not saved yet
-return String(data).trim();
-} catch (e) {
-  console.error("Could not get next code from Supabase RPC:", e);
-  alert("Could not fetch the next quotation code. Please check your internet and try again.");
-  throw e;
-}
-};
-
 // When firm changes, drop the existing number if it doesn't match the new firm's format.
-// A fresh, firm-specific number will be pulled the next time you open the editor/print/save.
+// The quote is then a draft again; it gets the new firm's number when finalized or printed.
 useEffect(() => {
   setQHeader((h) => {
     if (!h.number) return h; // nothing set yet
-    if (numberMatchesFirm(firm, h.number)) return h; // already correct for this firm
-    return { ...h, number: "" }; // clear so we fetch the right one on next action
+    if (numberMatchesFirm(firms, firm, h.number)) return h; // already correct for this firm
+    return { ...h, number: "" }; // clear; finalize/print reserves the right one
   });
-}, [firm]);
+}, [firm, firms]);
 
-// Force-assign a brand-new code (always reserves next from DB)
+// Force-assign a brand-new code (always reserves next from DB).
+// A draft is finalized instead, so its number is reserved together with the save.
 const assignNewNumber = async () => {
   if (firm === "Internal") {
-    setQHeader(h => ({ ...h, number: "" }));
+    setQHeader(h => ({ ...h, number: "", status: null, version: null, save_key: null }));
     setSavedOnce(false);
     setEditingQuoteId(null);
     return;
   }
+  if (!numberMatchesFirm(firms, firm, qHeader.number)) return saveQuote({ finalize: true });
   try {
     const { data, error } = await supabase.rpc("next_quote_code", { p_firm: firm });
     if (error || !data || String(data).trim() === "") {
       throw error || new Error("No code returned");
     }
     const code = String(data).trim();
-    setQHeader(h => ({ ...h, number: code, date: todayStr() }));
+    setQHeader(h => ({ ...h, number: code, date: todayStr(), version: null, revise_of: null }));
     // make sure we don’t “edit” an older row; saving should INSERT a new one
     setEditingQuoteId(null);
     setSavedOnce(false);
@@ -834,9 +2398,23 @@ const startNewQuote = () => {
     address: "",
     phone: "",
     subject: "",
+    customer_state: homeState,
+    discount_type: "pct", // overall discount
+    discount_value: 0,
+    terms: null, // null = firm's default T&C template
+    version: null, // row version this edit started from (optimistic locking)
+    revise_of: null, // saved quote this edit revises: a changed save becomes its next revision
+    customer_id: null, // customers row (set when picked from the list or after saving)
+    customer_gstin: "",
+    save_key: null, // placeholder number key of this editor session (see writeQuote)
   });
 setEditingQuoteId(null);
+  setEditorOutboxId(null);
   setSavedOnce(false);
+  setSaveFailed(null);
+  setSaveConflict(null);
+  setQuoteRevisions([]);
+  setRevCompare(null);
   setQuoteMode(true);
   setPage("catalog");
 };
@@ -850,15 +2428,7 @@ const goToEditor = async () => {
   // keep today's date fresh in the editor UI
   forceTodayDate(setQHeader);
 
-  // Reserve/reuse a correct firm number for this session.
-  // If a valid number is already present for the selected firm,
-  // ensureFirmNumber will just reuse it (no counter increment).
-  try {
-    await ensureFirmNumber();
-  } catch {
-    // ensureFirmNumber already showed an alert; abort opening editor
-    return;
-  }
+  // No number yet: the quote is a draft until it is finalized or printed
 
   // We’re not editing a saved row when coming from catalog
   setEditingQuoteId(null);
@@ -875,110 +2445,428 @@ function normalizeQuoteCode(v) {
 }
 
   /* ---------- SAVE USING YOUR SCHEMA (quotes + quote_items) ---------- */
-const saveQuote = async (forceNumber) => {
+// Without a number the quote is saved as a Draft. finalize: also give it the firm's next
+// number — reserved and stamped on the row in one transaction (finalize_quote RPC).
+// If the row was saved elsewhere since it was loaded, the conflict dialog opens instead;
+// from there expectedVersion (overwrite), asRevision or asNewDraft (keep theirs, save ours
+// as its next revision / apart) retry it.
+const saveQuote = async ({ finalize = false, expectedVersion, asNewDraft = false, asRevision = false } = {}) => {
+  const gstinErr = gstinError(qHeader.customer_gstin);
+  if (gstinErr) {
+    alert(`Customer GSTIN: ${gstinErr}`);
+    return null;
+  }
+  // the session's placeholder key; a draft kept apart from the other device's gets a new one
+  const saveKey = !asNewDraft && qHeader.save_key ? qHeader.save_key : newSaveKey();
+  const keyed = { ...qHeader, save_key: saveKey };
+  if (saveKey !== qHeader.save_key) setQHeader((h) => ({ ...h, save_key: saveKey }));
+  // No signal: park the quote in the outbox; if it was finalized / printed it gets its number
+  // when it syncs
+  if (!navigator.onLine) return queueQuote(keyed, finalize);
   try {
-    // INTERNAL: save with a hidden synthetic number so DB constraints are happy
-if (firm === "Internal") {
-  const syntheticNumber =
-    `INT/${new Date().toISOString().slice(0,10).replace(/-/g,'')}/` +
-    Math.random().toString(36).slice(2, 6).toUpperCase();
-
-  const header = {
-    number: syntheticNumber, // stored but never shown in UI
-    customer_name: qHeader.customer_name || null,
-    address: qHeader.address || null,
-    phone: qHeader.phone || null,
-    subject: qHeader.subject || null,
-      total: cartSubtotal,
-  firm,
-};
-
-      const { data: ins, error: insErr } = await supabase
-        .from("quotes")
-        .insert(header)
-        .select("id")
-        .single();
-      if (insErr) throw insErr;
-      const quoteId = ins.id;
-
-      // Replace line items
-      const rows = cartList.map((r) => ({
-        quote_id: quoteId,
-        name: r.name,
-        specs: r.specs || null,
-        qty: r.qty,
-        mrp: r.unit,
-      }));
-      if (rows.length) {
-        const { error: insI } = await supabase.from("quote_items").insert(rows);
-        if (insI) throw insI;
-      }
+    if (firm === "Internal") {
+      // a saved Internal quote (re-opened, or saved before) is updated by id; otherwise this is
+      // a new row and the version loaded with another row does not apply
+      const rowId = qHeader.status === "internal" ? editingQuoteId : null;
+      const { id, customer_id, version } = await writeQuote({
+        firms,
+        firm,
+        qHeader: keyed,
+        items: quoteItemRows(pricing.lines, qHeader.customer_state, homeState),
+        total: cartSubtotal,
+        gstBreakdown,
+        discountAmount: pricing.overallDisc,
+        quoteId: rowId,
+        expectedVersion: rowId ? expectedVersion : null,
+      });
 
       // Editor state: keep number blank
+      setQHeader((h) => ({ ...h, status: "internal", version, customer_id }));
       setSavedOnce(true);
-      setEditingQuoteId(quoteId);
+      setEditingQuoteId(id);
+      dropFromOutbox(editorOutboxId);
+      setSaveFailed(null);
 
       alert(`Saved ✅ (Internal)`);
       return ""; // no number for internal
     }
 
-    // NON-INTERNAL: ensure/get number then upsert on number
-    const number = forceNumber ?? (await ensureFirmNumber());
+    // DRAFT (no number for this firm yet)
+    if (asNewDraft || !numberMatchesFirm(firms, firm, qHeader.number)) {
+      const draft = await writeQuote({
+        firms,
+        firm,
+        qHeader: keyed,
+        items: quoteItemRows(pricing.lines, qHeader.customer_state, homeState),
+        total: cartSubtotal,
+        gstBreakdown,
+        discountAmount: pricing.overallDisc,
+        draft: true,
+        quoteId: !asNewDraft && qHeader.status === "draft" ? editingQuoteId : null,
+        finalize,
+        expectedVersion,
+      });
+      setEditingQuoteId(draft.id);
+      dropFromOutbox(editorOutboxId);
+      setSaveFailed(null);
+      setSaveConflict(null);
+
+      if (draft.status === "draft") {
+        setQHeader((h) => ({
+          ...h,
+          number: "",
+          status: "draft",
+          version: draft.version,
+          customer_id: draft.customer_id,
+        }));
+        setSavedOnce(true);
+        alert("Draft saved ✅ (number is given when you finalize or print)");
+        return "";
+      }
+
+      const code = normalizeQuoteCode(draft.number);
+      setQHeader((h) => ({
+        ...h,
+        number: code,
+        status: "final",
+        date: todayStr(),
+        version: draft.version,
+        customer_id: draft.customer_id,
+      }));
+      setSavedOnce(true);
+      alert(`Finalized ✅ (${code})`);
+      return code;
+    }
+
+    // NUMBERED: upsert on number. A re-opened quote is left as issued: if anything
+    // changed it is saved as its next revision (APP/H048-R2), otherwise nothing is written.
+    const code = normalizeQuoteCode(qHeader.number);
+
+    let reviseOf = asRevision ? editingQuoteId : null;
+    if (!reviseOf && qHeader.revise_of) {
+      const issued = await fetchQuote(qHeader.revise_of);
+      if (issued) {
+        const d = diffQuotes(editorSnapshot(), issued);
+        if (d.fields.length + d.lines.length === 0) {
+          dropFromOutbox(editorOutboxId);
+          setSaveFailed(null);
+          alert(`No changes ✅ (${code} is as issued)`);
+          return code;
+        }
+        reviseOf = qHeader.revise_of;
+      }
+    }
+    // a revision is only checked against the version loaded when the edit started from the
+    // newest revision; an earlier one opened on purpose (or "Save mine as new revision") is not
+    const newest = quoteRevisions[quoteRevisions.length - 1];
+    if (reviseOf && expectedVersion === undefined) {
+      expectedVersion = asRevision || (newest && newest.id !== reviseOf) ? null : qHeader.version ?? null;
+    }
+
+    const up = await writeQuote({
+      firms,
+      firm,
+      qHeader,
+      items: quoteItemRows(pricing.lines, qHeader.customer_state, homeState),
+      total: cartSubtotal,
+      number: code,
+      gstBreakdown,
+      discountAmount: pricing.overallDisc,
+      expectedVersion,
+      reviseOf,
+    });
+
+    // Sync editor state
+    setQHeader((h) => ({
+      ...h,
+      number: up.number,
+      status: "final",
+      version: up.version,
+      revise_of: null,
+      customer_id: up.customer_id,
+    }));
+    setSavedOnce(true);
+    setEditingQuoteId(up.id); // keep track we’re editing this row next time
+    dropFromOutbox(editorOutboxId);
+
+    setSaveFailed(null);
+    setSaveConflict(null);
+    if (reviseOf) loadRevisions(up.number);
+
+    alert(reviseOf ? `Saved as a new revision ✅ (${up.number})` : `Saved ✅ (${up.number})`);
+    return up.number;
+  } catch (e) {
+    console.error(e);
+    if (isNetworkError(e)) return queueQuote(keyed, finalize); // the retry reuses the placeholder
+    if (isVersionConflict(e)) {
+      await openSaveConflict(finalize);
+      return null;
+    }
+    // nothing was written (the save is one transaction): keep the editor as-is and offer a retry
+    setSaveFailed({ message: e?.message || String(e), finalize });
+    alert("Save failed: " + (e?.message || e));
+    return null;
+  }
+};
+
+// The editor's quote in fetchQuote's { header, lines } shape (for diffQuotes)
+const editorSnapshot = () => ({
+  header: { ...qHeader, terms: quoteTerms(firms, qHeader, firm), total: cartSubtotal },
+  lines: quoteItemRows(pricing.lines, qHeader.customer_state, homeState),
+});
+
+// Show what the other device saved next to what is in the editor
+const openSaveConflict = async (finalize) => {
+  try {
+    let theirsId = editingQuoteId;
+    if (qHeader.revise_of) {
+      // an issued quote: what the other device saved is the newest revision of it
+      const root = String(qHeader.number || "").replace(/-R\d+$/, "");
+      const { data, error } = await supabase
+        .from("quotes")
+        .select("id")
+        .or(`number.eq."${root}",root_number.eq."${root}"`)
+        .order("revision", { ascending: false })
+        .limit(1);
+      if (error) throw error;
+      if (data?.[0]) theirsId = data[0].id;
+    }
+    const theirs = theirsId ? await fetchQuote(theirsId) : null;
+    if (!theirs) {
+      setSaveFailed({ message: "This quote was deleted on another device", finalize });
+      return;
+    }
+    setSaveFailed(null);
+    setSaveConflict({ finalize, theirs, diff: diffQuotes(editorSnapshot(), theirs) });
+  } catch (e) {
+    console.error("Loading the other version failed:", e);
+    setSaveFailed({ message: "This quote was changed on another device", finalize });
+  }
+};
+
+/* ---------- OFFLINE: OUTBOX OF QUEUED QUOTES ---------- */
+const [online, setOnline] = useState(() => navigator.onLine);
+const [outbox, setOutbox] = useState(readOutbox);
+const [outboxOpen, setOutboxOpen] = useState(false);
+const [syncing, setSyncing] = useState(false);
+const syncingRef = useRef(false);
+// outbox entry the editor is showing (so a later save/sync updates the same entry)
+const [editorOutboxId, setEditorOutboxId] = useState(null);
+const editorOutboxRef = useRef(null); // read by syncOutbox, which also runs from the "online" listener
+useEffect(() => {
+  editorOutboxRef.current = editorOutboxId;
+}, [editorOutboxId]);
+const firmsRef = useRef(firms); // likewise: the loaded firms, not the first render's
+useEffect(() => {
+  firmsRef.current = firms;
+}, [firms]);
 
-// Ensure we never save empty/whitespace code
-const code = normalizeQuoteCode(number);
+const writeOutbox = (next) => {
+  try {
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify(next));
+  } catch (e) {
+    console.warn("Outbox not written:", e?.message || e);
+  }
+  setOutbox(next);
+};
+const dropFromOutbox = (id) => {
+  if (id) writeOutbox(readOutbox().filter((o) => o.id !== id));
+  setEditorOutboxId(null);
+};
 
-const header = {
-  number: code,
-      customer_name: qHeader.customer_name || null,
-      address: qHeader.address || null,
-      phone: qHeader.phone || null,
-      subject: qHeader.subject || null,
-        total: cartSubtotal,
-  firm,
+// Snapshot the editor into the outbox (replaces its earlier entry, if any).
+// finalize: the quote was finalized / printed offline, so a draft is numbered on upload.
+const queueQuote = (header = qHeader, finalize = false) => {
+  const id = editorOutboxId || `ob-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+  const prev = readOutbox().find((o) => o.id === id);
+  const entry = {
+    id,
+    queuedAt: new Date().toISOString(),
+    firm,
+    quoteId: editingQuoteId || null, // editing an already saved quote
+    number: firm === "Internal" ? "" : header.number || "",
+    qHeader: header, // carries save_key, so a retried Internal / draft save finds its row
+    cart,
+    total: cartSubtotal,
+    gstBreakdown,
+    finalize: finalize || !!prev?.finalize, // a later plain save does not take it back
+    error: null,
+  };
+  const rest = readOutbox().filter((o) => o.id !== id);
+  writeOutbox([...rest, entry]);
+  setEditorOutboxId(id);
+  alert(
+    "You are offline. The quote is saved on this phone and will be uploaded when the connection returns." +
+      (entry.finalize && firm !== "Internal" ? " It gets its number then; print it after that." : "")
+  );
+  return null;
 };
 
-    const { data: up, error: upErr } = await supabase
-      .from("quotes")
-      .upsert(header, { onConflict: "number" })
-      .select("id,number")
-      .single();
-
-    if (upErr) throw upErr;
-    const quoteId = up.id;
-
-    // 4) Replace line items
-    const rows = cartList.map((r) => ({
-      quote_id: quoteId,
-      name: r.name,
-      specs: r.specs || null,
-      qty: r.qty,
-      mrp: r.unit,
-    }));
+// Upload queued quotes in order; unnumbered ones go up as drafts (numbered then, if they were
+// finalized / printed offline), conflicts stay in the outbox
+const syncOutbox = async () => {
+  if (syncingRef.current || !navigator.onLine) return;
+  const queue = readOutbox();
+  if (!queue.length) return;
+  const firms = firmsRef.current;
+  syncingRef.current = true;
+  setSyncing(true);
+
+  const remaining = [];
+  const done = [];
+  for (let i = 0; i < queue.length; i++) {
+    const item = { ...queue[i], error: null };
+    const isDraft = item.firm !== "Internal" && !numberMatchesFirm(firms, item.firm, item.number);
+    // a draft / saved Internal quote updates its own row; a quote re-saved as a draft or as
+    // Internal (firm switched) is new
+    const ownRow = isDraft ? "draft" : item.firm === "Internal" ? "internal" : null;
+    const rowId = ownRow && item.qHeader?.status !== ownRow ? null : item.quoteId;
+    try {
+      if (rowId) {
+        // the quote was edited offline: it must still exist with the same number / still be a draft
+        const { data: cur, error } = await supabase
+          .from("quotes")
+          .select("id,number,status")
+          .eq("id", rowId)
+          .maybeSingle();
+        if (error) throw error;
+        if (!cur) throw Object.assign(new Error("This quote was deleted on another device."), { conflict: true });
+        if (isDraft ? cur.status !== "draft" : item.number && cur.number !== item.number) {
+          throw Object.assign(
+            new Error(`This quote is now numbered ${cur.number} on the server.`),
+            { conflict: true }
+          );
+        }
+      }
 
-    // delete old items then insert fresh
-    const { error: delErr } = await supabase.from("quote_items").delete().eq("quote_id", quoteId);
-    if (delErr) throw delErr;
+      const priced = priceQuote(Object.values(item.cart || {}), {
+        type: item.qHeader?.discount_type,
+        value: item.qHeader?.discount_value,
+      });
+      const items = quoteItemRows(priced.lines, item.qHeader?.customer_state, firmHomeState(firms, item.firm));
+
+      // an issued quote edited offline: changes become its next revision, like in the editor
+      let reviseOf = null;
+      if (!isDraft && item.qHeader?.revise_of) {
+        const issued = await fetchQuote(item.qHeader.revise_of);
+        const mine = {
+          header: { ...item.qHeader, terms: quoteTerms(firms, item.qHeader, item.firm), total: priced.grand },
+          lines: items,
+        };
+        if (issued) {
+          const d = diffQuotes(mine, issued);
+          if (d.fields.length + d.lines.length === 0) {
+            const res = {
+              id: issued.header.id,
+              number: item.number,
+              status: "final",
+              version: issued.header.version,
+              customer_id: issued.header.customer_id,
+            };
+            done.push({ item, res, isDraft });
+            continue;
+          }
+          reviseOf = item.qHeader.revise_of;
+        }
+      }
 
-    if (rows.length) {
-      const { error: insErr } = await supabase.from("quote_items").insert(rows);
-      if (insErr) throw insErr;
+      const res = await writeQuote({
+        firms,
+        firm: item.firm,
+        qHeader: item.qHeader,
+        items,
+        total: priced.grand,
+        discountAmount: priced.overallDisc,
+        number: item.number,
+        gstBreakdown: item.gstBreakdown,
+        draft: isDraft,
+        quoteId: ownRow ? rowId : null,
+        finalize: !!item.finalize,
+        reviseOf,
+      });
+      done.push({ item, res, isDraft, revised: !!reviseOf });
+    } catch (e) {
+      console.error("Outbox sync failed:", e);
+      if (isNetworkError(e)) {
+        remaining.push(...queue.slice(i)); // signal dropped again: try the rest later
+        break;
+      }
+      remaining.push({
+        ...item,
+        error: e?.message || String(e),
+        conflict: !!e?.conflict || isVersionConflict(e),
+      });
     }
+  }
+  writeOutbox(remaining);
 
-    // 5) Sync editor state
-    setQHeader((h) => ({ ...h, number: String(up?.number ?? code).trim() }));
+  // the editor may be showing one of the uploaded drafts
+  const mine = done.find((d) => d.item.id === editorOutboxRef.current);
+  if (mine) {
+    setQHeader((h) => ({
+      ...h,
+      number: mine.res.number,
+      status: mine.item.firm === "Internal" ? "internal" : mine.res.status,
+      version: mine.res.version,
+      revise_of: mine.revised ? null : h.revise_of,
+      customer_id: mine.res.customer_id,
+    }));
+    setEditingQuoteId(mine.res.id);
     setSavedOnce(true);
-    setEditingQuoteId(quoteId); // keep track we’re editing this row next time
+    setEditorOutboxId(null);
+  }
 
-    alert(`Saved ✅ (${up.number})`);
-    return up.number;
-  } catch (e) {
-    console.error(e);
-    alert("Save failed: " + (e?.message || e));
-    return null;
+  syncingRef.current = false;
+  setSyncing(false);
+
+  if (done.length) {
+    const nums = done.map((d) => d.res.number || (d.isDraft ? "Draft" : "Internal")).join(", ");
+    alert(`Uploaded ${done.length} offline quote${done.length === 1 ? "" : "s"} ✅ (${nums})`);
   }
+  if (remaining.some((o) => o.error)) setOutboxOpen(true);
 };
 
+// Load a queued quote back into the editor (e.g. to fix a conflict)
+const openOutboxItem = (item) => {
+  setFirm(item.firm);
+  setCart(item.cart || {});
+  setQHeader(item.qHeader);
+  setEditingQuoteId(item.quoteId || null);
+  setSavedOnce(false);
+  setSaveFailed(null);
+  setEditorOutboxId(item.id);
+  setQuoteMode(true);
+  setOutboxOpen(false);
+  setPage("quoteEditor");
+};
+
+const discardOutboxItem = (item) => {
+  if (!confirm(`Discard the offline quote for "${item.qHeader?.customer_name || "no name"}"?`)) return;
+  writeOutbox(readOutbox().filter((o) => o.id !== item.id));
+  if (editorOutboxId === item.id) setEditorOutboxId(null);
+};
+
+// connection watcher: sync as soon as the signal is back (and once on start)
+useEffect(() => {
+  const up = () => {
+    setOnline(true);
+    syncOutbox();
+    loadMachines();
+    loadCategories();
+    loadFirms();
+    loadTermsTemplates();
+  };
+  const down = () => setOnline(false);
+  window.addEventListener("online", up);
+  window.addEventListener("offline", down);
+  if (navigator.onLine) syncOutbox();
+  return () => {
+    window.removeEventListener("online", up);
+    window.removeEventListener("offline", down);
+  };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+}, []);
+
   /* ---------- LOAD SAVED LIST / EDIT / PDF ---------- */
 const [saved, setSaved] = useState([]);
 const [savedDetailed, setSavedDetailed] = useState([]);
@@ -990,7 +2878,7 @@ const [sanctionedRowsDB, setSanctionedRowsDB] = useState([]);
 const [savedFirmFilter, setSavedFirmFilter] = useState(() => {
   try {
     const v = localStorage.getItem("hvf.savedFirm");
-    const allowed = ["All", "HVF Agency", "Victor Engineering", "Mahabir Hardware Stores", "Internal"];
+    const allowed = ["All", ...firms.map((f) => f.name), "Internal", "Drafts"];
     return allowed.includes(v) ? v : "All";
   } catch {
     return "All";
@@ -1217,7 +3105,7 @@ const saveDeliverLocal = async () => {
     const rec = {
       id: row.id,
       number: row.number || row.quotation_no || row.quote_no || "",
-      firm: row.firm || inferFirmFromNumber(row.number || row.quotation_no || ""),
+      firm: row.firm || inferFirmFromNumber(firms, row.number || row.quotation_no || ""),
       customer_name: row.customer_name || "",
       total: Number(row.total || 0),
 
@@ -1905,12 +3793,14 @@ const savedDetailedFiltered = useMemo(() => {
   const list = Array.isArray(savedDetailed) ? savedDetailed : [];
 
 
-  // firm tab filter
+  // firm tab filter; drafts only appear under their own "Drafts" tab
   const byFirm =
-    savedFirmFilter === "All"
-      ? list.filter((q) => inferFirmFromNumber(q?.number) !== "Internal") // exclude internal from "All"
+    savedFirmFilter === "Drafts"
+      ? list.filter((q) => isDraftNumber(q?.number))
+      : savedFirmFilter === "All"
+      ? list.filter((q) => !isDraftNumber(q?.number) && inferFirmFromNumber(firms, q?.number) !== "Internal") // exclude internal from "All"
       : list.filter(
-          (q) => (inferFirmFromNumber(q?.number) || "") === savedFirmFilter
+          (q) => (inferFirmFromNumber(firms, q?.number) || "") === savedFirmFilter
         );
 
   // Apply status filtering when in "sanctioned" view (HVF only)
@@ -1918,7 +3808,7 @@ const byStatus =
   savedView === "sanctioned"
     ? byFirm.filter(
         (q) =>
-          (inferFirmFromNumber(q?.number) || "") === "HVF Agency" &&
+          (inferFirmFromNumber(firms, q?.number) || "") === "HVF Agency" &&
           (q?.sanctioned_status || "") === "sanctioned"
       )
     : byFirm;
@@ -1959,7 +3849,7 @@ if (!q) return byStatus;
       return true;
     }
   });
-}, [savedDetailed, savedFirmFilter, savedSearch, onlySanctioned, savedView]);
+}, [savedDetailed, savedFirmFilter, savedSearch, onlySanctioned, savedView, firms]);
 
 // ---- Separate dataset for the "Sanctioned View" (from Supabase; cross-device) ----
 const sanctionedDetailedFiltered = useMemo(() => {
@@ -2054,11 +3944,11 @@ const loadSaved = async () => {
   try {
     const { data, error } = await supabase
       .from("quotes")
-      .select("id,number,customer_name,total,created_at")
+      .select("id,number,root_number,revision,customer_name,total,created_at")
       .order("created_at", { ascending: false });
 
     if (error) throw error;
-    setSaved(data || []);
+    setSaved(latestRevisions(data || []));
   } catch (err) {
     // Make the error obvious in Console and to the user
     console.error("loadSaved failed:", err);
@@ -2094,7 +3984,13 @@ const loadSavedDetailed = async () => {
         .select(`
           id,
           number,
+          firm,
+          status,
+          root_number,
+          revision,
+          customer_id,
           customer_name,
+          customer_gstin,
           address,
           phone,
           total,
@@ -2127,8 +4023,8 @@ const loadSavedDetailed = async () => {
         return acc;
       }, {});
     }
-    // build preview + attach delivered_date from deliveredMap
-    const enriched = (data || []).map((q) => {
+    // build preview + attach delivered_date from deliveredMap (newest revision of each quote only)
+    const enriched = latestRevisions(data || []).map((q) => {
       const names = (q.quote_items || []).map((it) => it?.name || "");
       return {
         ...q,
@@ -2156,7 +4052,13 @@ const loadSavedDetailed = async () => {
           .select(`
             id,
             number,
+            firm,
+            status,
+            root_number,
+            revision,
+            customer_id,
             customer_name,
+            customer_gstin,
             address,
             phone,
             total,
@@ -2172,7 +4074,7 @@ const loadSavedDetailed = async () => {
           .order("created_at", { ascending: false });
         if (error) throw error;
 
-        const enriched = (data || []).map((q) => {
+        const enriched = latestRevisions(data || []).map((q) => {
           const names = (q.quote_items || []).map((it) => it?.name || "");
           return {
             ...q,
@@ -2210,66 +4112,515 @@ const openSavedDetail = async () => {
   setPage("savedDetailed");
 };
 
+// All revisions of a numbered quote (any of its numbers), oldest first
+const loadRevisions = async (number) => {
+  const root = String(number || "").replace(/-R\d+$/, "");
+  try {
+    const { data, error } = await supabase
+      .from("quotes")
+      .select("id,number,revision,total,created_at")
+      .or(`number.eq."${root}",root_number.eq."${root}"`)
+      .order("revision", { ascending: true });
+    if (error) throw error;
+    setQuoteRevisions(data || []);
+  } catch (e) {
+    console.warn("Revisions not loaded:", e?.message || e);
+    setQuoteRevisions([]);
+  }
+};
+
+// Side-by-side of two revisions (ids) for the "Compare revisions" panel
+const compareRevisions = async (aId, bId) => {
+  setRevCompare({ a: aId, b: bId, busy: true });
+  try {
+    const [a, b] = await Promise.all([fetchQuote(aId), fetchQuote(bId)]);
+    if (!a || !b) throw new Error("That revision was deleted.");
+    setRevCompare({ a: aId, b: bId, diff: diffQuotes(a, b) });
+  } catch (e) {
+    setRevCompare({ a: aId, b: bId, error: e?.message || String(e) });
+  }
+};
+
 // Load one saved quote into the editor
 const editSaved = async (number) => {
   try {
     // 1) Header
     const { data: q, error: qerr } = await supabase
       .from("quotes")
-      .select("id,number,customer_name,address,phone,subject")
+      .select("id,number,firm,status,version,root_number,revision,customer_id,customer_name,customer_gstin,address,phone,subject,customer_state,gst_breakdown,discount_type,discount_value,terms")
       .eq("number", number)
       .maybeSingle();
     if (qerr) throw qerr;
-    if (!q) return;
+    if (!q) return false;
 
     // 2) Lines
     const { data: lines, error: lerr } = await supabase
       .from("quote_items")
-      .select("name,specs,qty,mrp")
+      .select("machine_id,variant_id,variant_label,name,specs,attributes,qty,mrp,gst_rate,discount_type,discount_value")
       .eq("quote_id", q.id);
     if (lerr) throw lerr;
 
     // 3) Rebuild cart
-    const newCart = {};
-    (lines || []).forEach((ln, idx) => {
-      const id = `saved-${idx}`;
-      newCart[id] = {
-  id,
-  name: ln.name,
-  specs: ln.specs || "",
-  unit: Number(ln.mrp || 0),
-  qty: Number(ln.qty || 0),
-  gst: 18, // default GST %
-};
-    });
-    setCart(newCart);
+    setCart(cartFromQuoteItems(lines));
+    if (q.gst_breakdown != null) setGstBreakdown(q.gst_breakdown);
 
-    // 4) Align firm with number; mark as loaded-from-saved
-    const firmGuess = inferFirmFromNumber(q.number);
+    // 4) Align firm with number (drafts: their firm column); mark as loaded-from-saved
+    const isDraft = q.status === "draft";
+    const firmGuess = quoteFirmOf(firms, q);
     if (firmGuess) setFirm(firmGuess);
     setLoadedFromSaved(true);
+    setSaveFailed(null);
+    setSaveConflict(null);
 
     // 5) Push state & open editor
     setQHeader((h) => ({
       ...h,
-      number: q.number,
+      // a draft's DRAFT/… and an Internal quote's INT/… placeholder stay hidden
+      number: isDraft || firmGuess === "Internal" ? "" : q.number,
+      // "internal": a saved Internal quote, re-saved in place (by id)
+      status: isDraft ? "draft" : firmGuess === "Internal" ? "internal" : "final",
+      save_key: null, // a different quote: its own placeholder (see writeQuote)
+      customer_id: q.customer_id || null,
       customer_name: q.customer_name || "",
+      customer_gstin: q.customer_gstin || "",
       address: q.address || "",
       phone: q.phone || "",
       subject: q.subject || "",
+      customer_state: q.customer_state || firmHomeState(firms, firmGuess),
+      discount_type: q.discount_type || "pct",
+      discount_value: q.discount_value != null ? Number(q.discount_value) : 0,
+      terms: q.terms ?? null, // print with the T&C it was issued with
+      version: q.version ?? null, // a save from another device in the meantime is a conflict
+      // an issued quote is not changed in place: a changed save becomes its next revision
+      revise_of: !isDraft && firmGuess !== "Internal" ? q.id : null,
       date: todayStr(),
     }));
 
     setEditingQuoteId(q.id);   // remember which quote row we’re editing
     setSavedOnce(true);        // this quote already exists in DB
+    setRevCompare(null);
+    if (isDraft || firmGuess === "Internal") setQuoteRevisions([]);
+    else loadRevisions(q.number);
 
     setQuoteMode(true);
     setPage("quoteEditor");
+    return true;
   } catch (err) {
     console.error("editSaved failed:", err);
     alert(`Could not load the saved quote.\n${err?.message || err}`);
+    return false;
+  }
+};
+
+/* ---------- CUSTOMER AUTOCOMPLETE (editor Customer Name / Phone) ---------- */
+const [custSuggest, setCustSuggest] = useState({ field: null, list: [] });
+const custTimer = useRef(null);
+const custQuery = useRef(null); // the lookup whose answer is still wanted (older ones are dropped)
+
+const closeCustomerSuggestions = () => {
+  clearTimeout(custTimer.current);
+  custQuery.current = null;
+  setCustSuggest({ field: null, list: [] });
+};
+
+// Look up customers matching what is typed (debounced); online only
+const suggestCustomers = (field, text) => {
+  const digits = String(text || "").replace(/\D/g, "").slice(-10);
+  const term = field === "phone" ? digits : String(text || "").trim().replace(/[%_]/g, "");
+  if (term.length < (field === "phone" ? 3 : 2) || !navigator.onLine) {
+    closeCustomerSuggestions();
+    return;
+  }
+  clearTimeout(custTimer.current);
+  const query = { field, term };
+  custQuery.current = query;
+  custTimer.current = setTimeout(async () => {
+    const { data, error } = await supabase
+      .from("customers")
+      .select("id,name,phone,address,state,village,district,gstin")
+      .ilike(field === "phone" ? "phone_key" : "name", `%${term}%`)
+      .order("updated_at", { ascending: false })
+      .limit(8);
+    if (custQuery.current !== query) return; // typed on, or left the field, meanwhile
+    if (error) {
+      console.warn("Customer lookup failed:", error.message);
+      return;
+    }
+    setCustSuggest({ field, list: data || [] });
+  }, 250);
+};
+
+const pickCustomer = (c) => {
+  setQHeader((h) => ({
+    ...h,
+    customer_id: c.id,
+    customer_name: c.name,
+    phone: c.phone || h.phone,
+    address: c.address || h.address,
+    customer_gstin: c.gstin || "",
+    customer_state: stateFromGstin(c.gstin) || c.state || h.customer_state,
+  }));
+  closeCustomerSuggestions();
+};
+
+// Suggestion list under the Customer Name / Phone field
+const customerSuggestions = (field) =>
+  custSuggest.field === field &&
+  custSuggest.list.length > 0 && (
+    <div
+      role="listbox"
+      style={{
+        position: "absolute",
+        left: 0,
+        right: 0,
+        top: "100%",
+        zIndex: 20,
+        background: "#fff",
+        border: "1px solid #e5e7eb",
+        borderRadius: 8,
+        boxShadow: "0 8px 24px rgba(16,24,40,.12)",
+        maxHeight: 260,
+        overflowY: "auto",
+      }}
+    >
+      {custSuggest.list.map((c) => (
+        <div
+          key={c.id}
+          role="option"
+          aria-selected={false}
+          // mousedown so the pick lands before the input's blur closes the list
+          onMouseDown={(e) => {
+            e.preventDefault();
+            pickCustomer(c);
+          }}
+          style={{ padding: "6px 10px", cursor: "pointer", borderBottom: "1px solid #f3f4f6" }}
+        >
+          <div style={{ fontWeight: 600 }}>{c.name}</div>
+          <div style={{ fontSize: 12, color: "#666" }}>
+            {[c.phone, c.village, c.district || c.address].filter(Boolean).join(" · ") || "—"}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+
+// Clone a saved quote into a new, unsaved quote for any firm: same lines, prices and
+// discounts; the customer only if asked. The original and its number are untouched.
+const [cloneSrc, setCloneSrc] = useState(null); // saved row being cloned (dialog open)
+const [cloneOpts, setCloneOpts] = useState({ firm: "", withCustomer: false });
+const [cloneBusy, setCloneBusy] = useState(false);
+
+const openClone = (row) => {
+  const from = quoteFirmOf(firms, row) || firm;
+  const ok = from === "Internal" || activeFirms.some((f) => f.name === from);
+  setCloneOpts({ firm: ok ? from : activeFirms[0]?.name || "Internal", withCustomer: false });
+  setCloneSrc(row);
+};
+
+const cloneQuote = async () => {
+  if (!cloneSrc?.id) return;
+  setCloneBusy(true);
+  try {
+    const src = await fetchQuote(cloneSrc.id);
+    if (!src) throw new Error("The quote was deleted.");
+    const h = src.header;
+    const who = cloneOpts.withCustomer
+      ? {
+          customer_id: h.customer_id || null,
+          customer_name: h.customer_name || "",
+          customer_gstin: h.customer_gstin || "",
+          address: h.address || "",
+          phone: h.phone || "",
+          customer_state: h.customer_state || firmHomeState(firms, cloneOpts.firm),
+        }
+      : {
+          customer_id: null,
+          customer_name: "",
+          customer_gstin: "",
+          address: "",
+          phone: "",
+          customer_state: firmHomeState(firms, cloneOpts.firm),
+        };
+
+    setFirm(cloneOpts.firm);
+    setCart(cartFromQuoteItems(src.lines));
+    if (h.gst_breakdown != null) setGstBreakdown(h.gst_breakdown);
+    setQHeader({
+      number: "",
+      date: todayStr(),
+      ...who,
+      subject: h.subject || "",
+      discount_type: h.discount_type || "pct",
+      discount_value: h.discount_value != null ? Number(h.discount_value) : 0,
+      terms: null, // the chosen firm's default T&C
+      version: null,
+      revise_of: null,
+      save_key: null,
+    });
+    setEditingQuoteId(null);
+    setEditorOutboxId(null);
+    setSavedOnce(false);
+    setSaveFailed(null);
+    setSaveConflict(null);
+    setQuoteRevisions([]);
+    setRevCompare(null);
+    setCloneSrc(null);
+    setQuoteMode(true);
+    setPage("quoteEditor");
+  } catch (e) {
+    console.error("Clone failed:", e);
+    alert(`Could not clone the quote.\n${e?.message || e}`);
+  } finally {
+    setCloneBusy(false);
+  }
+};
+
+/* ---------- CUSTOMER PROFILE (/customer/:id) ---------- */
+// Every quote for one customer across all firms, with sanction / delivery status
+const [customerPageId, setCustomerPageId] = useState(null);
+const [customerProfile, setCustomerProfile] = useState(null); // { customer, quotes } | { missing } | { error }
+const [customerForm, setCustomerForm] = useState(null); // customer details being edited
+const [customerBusy, setCustomerBusy] = useState(false);
+
+const openCustomer = (id) => {
+  if (!id) return;
+  setCustomerPageId(id);
+  setPage("customer");
+};
+
+const loadCustomerProfile = async (id) => {
+  setCustomerProfile(null);
+  setCustomerForm(null);
+  try {
+    const { data: customer, error } = await supabase.from("customers").select("*").eq("id", id).maybeSingle();
+    if (error) throw error;
+    if (!customer) {
+      setCustomerProfile({ missing: true });
+      return;
+    }
+    const { data: rows, error: qErr } = await supabase
+      .from("quotes")
+      .select(
+        "id,number,firm,status,root_number,revision,total,created_at,sanctioned_status,sanctioned_mode,sanctioned_date,sanctioned_amount,csm_amount,rtnad_amount"
+      )
+      .eq("customer_id", id)
+      .order("created_at", { ascending: false });
+    if (qErr) throw qErr;
+    const quotes = latestRevisions(rows || []);
+
+    // delivering moves the sanction details off `quotes` into `delivered`
+    const delivered = {};
+    if (quotes.length) {
+      const { data: dRows, error: dErr } = await supabase
+        .from("delivered")
+        .select("quote_id, delivered_on, sanctioned_mode, sanctioned_amount, csm_amount, rtnad_amount")
+        .in("quote_id", quotes.map((q) => q.id));
+      if (dErr) throw dErr;
+      (dRows || []).forEach((r) => {
+        delivered[r.quote_id] = r;
+      });
+    }
+    setCustomerProfile({
+      customer,
+      quotes: quotes.map((q) => {
+        const d = delivered[q.id];
+        if (!d) return { ...q, delivered_on: null };
+        return {
+          ...q,
+          delivered_on: d.delivered_on || "",
+          sanctioned_mode: d.sanctioned_mode ?? q.sanctioned_mode,
+          sanctioned_amount: d.sanctioned_amount ?? q.sanctioned_amount,
+          csm_amount: d.csm_amount ?? q.csm_amount,
+          rtnad_amount: d.rtnad_amount ?? q.rtnad_amount,
+        };
+      }),
+    });
+  } catch (e) {
+    console.error("Customer profile failed:", e);
+    setCustomerProfile({ error: e?.message || String(e) });
+  }
+};
+
+useEffect(() => {
+  if (page === "customer" && customerPageId) loadCustomerProfile(customerPageId);
+}, [page, customerPageId]);
+
+const saveCustomer = async () => {
+  const f = customerForm;
+  if (!f?.name?.trim()) return alert("Name is required.");
+  if (gstinError(f.gstin)) return alert(`GSTIN: ${gstinError(f.gstin)}`);
+  setCustomerBusy(true);
+  try {
+    const patch = {
+      name: f.name.trim(),
+      phone: f.phone?.trim() || null,
+      address: f.address?.trim() || null,
+      village: f.village?.trim() || null,
+      district: f.district?.trim() || null,
+      gstin: normalizeGstin(f.gstin) || null,
+      notes: f.notes?.trim() || null,
+      updated_at: new Date().toISOString(),
+    };
+    const { data, error } = await supabase.from("customers").update(patch).eq("id", f.id).select().single();
+    if (error) throw error;
+    setCustomerProfile((p) => ({ ...p, customer: data }));
+    setCustomerForm(null);
+  } catch (e) {
+    alert("Could not save the customer: " + (e?.message || e));
+  } finally {
+    setCustomerBusy(false);
+  }
+};
+
+/* ---------- URL ROUTING ---------- */
+// The `page` state still drives the UI; these two effects keep it in sync with the URL:
+//   /                        catalog (All)            ?q=search&hp=15&phase=3
+//   /category/:name          catalog in one category  (same query params)
+//   /machine/:id             machine detail page
+//   /quote                   editor for the current, unsaved quote
+//   /quote/:number           editor with that saved quote loaded
+//   /saved?firm=…            saved quotes (firm tab) | /saved?view=sanctioned
+//   /delivered               delivered machines
+//   /customer/:id            customer profile (all their quotes)
+const routeLoc = useLocation();
+const navigate = useNavigate();
+const routeReady = useRef(false);
+const routeBusy = useRef(false); // a saved quote is being fetched for /quote/:number
+const routeApplied = useRef(null); // history entry (location key) last applied to state
+
+const routeFromState = () => {
+  if (page === "quoteEditor") {
+    return editingQuoteId && qHeader.number
+      ? `/quote/${encodeURIComponent(qHeader.number)}`
+      : "/quote";
+  }
+  if (page === "savedDetailed") {
+    if (savedView === "delivered") return "/delivered";
+    if (savedView === "sanctioned") return "/saved?view=sanctioned";
+    return savedFirmFilter && savedFirmFilter !== "All"
+      ? `/saved?${new URLSearchParams({ firm: savedFirmFilter })}`
+      : "/saved";
+  }
+  if (page === "machine" && detailMachineId) return `/machine/${encodeURIComponent(detailMachineId)}`;
+  if (page === "customer" && customerPageId) return `/customer/${encodeURIComponent(customerPageId)}`;
+  const params = new URLSearchParams();
+  if (search.trim()) params.set("q", search);
+  Object.entries(specFilter).forEach(([k, v]) => {
+    if (v !== "") params.set(k, v);
+  });
+  const path = category === "All" ? "/" : `/category/${encodeURIComponent(category)}`;
+  const qs = params.toString();
+  return qs ? `${path}?${qs}` : path;
+};
+
+// "/category/Rice%20Mill?q=a+b" and "/category/Rice Mill?q=a%20b" compare equal
+const canonicalRoute = (pathname, searchStr) => {
+  let path = pathname.replace(/\/+$/, "") || "/";
+  try {
+    path = decodeURIComponent(path);
+  } catch {
+    /* keep the raw path */
   }
+  const params = [...new URLSearchParams(searchStr)].sort(([a], [b]) => a.localeCompare(b));
+  return params.length ? `${path}?${new URLSearchParams(params)}` : path;
 };
+const routeToCanonical = (to) => {
+  const [p, q = ""] = to.split("?");
+  return canonicalRoute(p, q);
+};
+
+// state -> URL: new views push a history entry, filter/search tweaks replace it
+useEffect(() => {
+  if (!routeReady.current || routeBusy.current) return; // landing URL not applied yet
+  const target = routeFromState();
+  if (routeToCanonical(target) === canonicalRoute(routeLoc.pathname, routeLoc.search)) return;
+  const samePath = routeToCanonical(target.split("?")[0]) === canonicalRoute(routeLoc.pathname, "");
+  navigate(target, { replace: samePath });
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+}, [page, category, search, specFilter, detailMachineId, customerPageId, savedView, savedFirmFilter, editingQuoteId, qHeader.number]);
+
+// URL -> state (first load, deep links, back / forward)
+useEffect(() => {
+  // once per history entry: a re-run for the same one (StrictMode) must not ask for the
+  // quotation PIN or fetch /quote/:number again
+  if (routeApplied.current === routeLoc.key) return;
+  routeApplied.current = routeLoc.key;
+  const first = !routeReady.current;
+  routeReady.current = true;
+  const here = canonicalRoute(routeLoc.pathname, routeLoc.search);
+  if (here === routeToCanonical(routeFromState())) return; // we navigated here ourselves
+
+  const [, head = "", ...rest] = here.split("?")[0].split("/");
+  const tail = rest.join("/"); // quote numbers like APP/H004 contain a slash
+  const params = new URLSearchParams(routeLoc.search);
+  const goHome = () => navigate("/", { replace: true });
+
+  if (head === "" || head === "category") {
+    // plain "/" on first load keeps whatever view was restored from localStorage
+    if (first && head === "" && !routeLoc.search) {
+      navigate(routeFromState(), { replace: true });
+      return;
+    }
+    const nextSpec = {};
+    SPEC_FIELDS.forEach((f) => {
+      if (params.get(f.key)) nextSpec[f.key] = params.get(f.key);
+    });
+    setPage("catalog");
+    setCategory(head === "category" && tail ? tail : "All");
+    setSpecFilter(nextSpec);
+    setSearch(params.get("q") || "");
+  } else if (head === "machine" && tail) {
+    setDetailMachineId(tail);
+    setPage("machine");
+  } else if (head === "quote") {
+    if (!ensureQuoteAccess()) return goHome();
+    if (!tail) {
+      if (cartList.length) setPage("quoteEditor");
+      else goHome();
+    } else if (!(page === "quoteEditor" && editingQuoteId && qHeader.number === tail)) {
+      routeBusy.current = true;
+      (async () => {
+        // refresh on an open quote: keep the local edits, just re-attach the DB row
+        if (first && __boot.qHeader?.number === tail && Object.keys(__boot.cart || {}).length) {
+          const { data: q } = await supabase.from("quotes").select("id").eq("number", tail).maybeSingle();
+          if (q) {
+            setEditingQuoteId(q.id);
+            setSavedOnce(true);
+            setLoadedFromSaved(true);
+            setPage("quoteEditor");
+            return true;
+          }
+        }
+        return editSaved(tail);
+      })().then((ok) => {
+        routeBusy.current = false;
+        if (ok) return;
+        alert(`Quotation ${tail} was not found.`);
+        goHome();
+      });
+    }
+  } else if (head === "customer" && tail) {
+    if (!ensureQuoteAccess()) return goHome();
+    setCustomerPageId(tail);
+    setPage("customer");
+  } else if (head === "saved" || head === "delivered") {
+    if (!ensureQuoteAccess()) return goHome();
+    if (head === "delivered") setSavedView("delivered");
+    else if (params.get("view") === "sanctioned") setSavedView("sanctioned");
+    else {
+      const firmParam = params.get("firm") || "All";
+      routeFirmRef.current = page === "savedDetailed" ? null : firmParam;
+      try { localStorage.setItem("hvf.savedFirm", firmParam); } catch { /* private mode */ }
+      setSavedView("normal");
+      setSavedFirmFilter(firmParam);
+    }
+    setPage("savedDetailed");
+  } else {
+    goHome();
+  }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+}, [routeLoc.pathname, routeLoc.search]);
+
 
 // Delete a saved quote (header + items) and then rewind that firm's counter
 const deleteSavedQuote = async (ref) => {
@@ -2349,7 +4700,7 @@ const saveSanction = async () => {
   }
 };
 
-    const firmOfQuote = inferFirmFromNumber(number) || "Internal";
+    const firmOfQuote = inferFirmFromNumber(firms, number) || "Internal";
 
     // Delete items then header
     const { error: ierr } = await supabase
@@ -2382,7 +4733,8 @@ const saveSanction = async () => {
       (qHeader.number && qHeader.number === number) ||
       (firmOfQuote === "Internal" && editingQuoteId === qid)
     ) {
-      setQHeader((h) => ({ ...h, number: "" }));
+      setQHeader((h) => ({ ...h, number: "", status: null, version: null, save_key: null }));
+      setEditingQuoteId(null);
       setSavedOnce(false);
     }
 
@@ -2530,7 +4882,12 @@ setSavedView("delivered");
 }
 
  /* ---------- CLEAN PDF (NOT web print) ---------- */
-const exportPDF = async () => {
+// preview: render into the editor's preview pane with a PREVIEW watermark — no number is
+// reserved and nothing is saved (the counter and the database are untouched)
+const [pdfPreview, setPdfPreview] = useState(null); // { url } | null
+const [previewBusy, setPreviewBusy] = useState(false);
+
+const exportPDF = async ({ preview = false } = {}) => {
   if (cartList.length === 0) return alert("Nothing to print.");
 
   // Use the currently selected date, or fallback to today if empty
@@ -2538,32 +4895,38 @@ const exportPDF = async () => {
     qHeader.date && qHeader.date.trim() ? qHeader.date.trim() : todayStr();
 
   // Keep header.date in sync only if it was empty before
-  setQHeader((h) =>
-    h.date && h.date.trim() ? h : { ...h, date: selectedDate }
-  );
+  if (!preview) {
+    setQHeader((h) =>
+      h.date && h.date.trim() ? h : { ...h, date: selectedDate }
+    );
+  }
 
   const dateStr = selectedDate;
 
   // Pre-open blank window/tab for the PDF (needed for iOS Safari)
   let pdfWindow = null;
-  try {
-    pdfWindow = window.open("", "_blank");
-  } catch (e) {
-    pdfWindow = null; // if blocked, we'll fall back later
+  if (!preview) {
+    try {
+      pdfWindow = window.open("", "_blank");
+    } catch (e) {
+      pdfWindow = null; // if blocked, we'll fall back later
+    }
   }
 
   // Save for ALL firms. For Internal we save without a number.
-  let number = "";
-  try {
-    if (firm !== "Internal") {
-      number = await ensureFirmNumber();
+  // Preview shows the current number, or the firm's pattern ("APP/H###") if none yet.
+  let number = preview ? qHeader.number || firmNumberHint(firmProfile(firms, firm)) : "";
+  if (!preview) {
+    try {
+      // printing finalizes: a draft gets its firm number here
+      const savedNum = await saveQuote({ finalize: true });
+      if (firm !== "Internal" && !savedNum) return;
+      number = savedNum || "";
+    } catch (e) {
+      console.error(e);
+      alert("Could not save before exporting. Aborting.");
+      return;
     }
-    const savedNum = await saveQuote(number);
-    if (firm !== "Internal" && !savedNum) return;
-  } catch (e) {
-    console.error(e);
-    alert("Could not save before exporting. Aborting.");
-    return;
   }
 
   const doc = new jsPDF({ unit: "pt", format: "a4" });
@@ -2578,12 +4941,16 @@ const exportPDF = async () => {
   // BRANDING / HEADER AREA
   // -------------------------------
   let afterHeaderY;
-
-  if (firm === "Internal") {
+  // Letterhead, GSTIN, bank and terms come from the firm's profile; layout picks the style
+  const fp = firmProfile(firms, firm);
+  const layout = firmLayout(firms, firm);
+  const docTitle = fp?.doc_title || "QUOTATION";
+  // B2B buyer's GSTIN, printed under the phone in the "To," block
+  const toGstin = normalizeGstin(qHeader.customer_gstin);
+
+  if (layout === "internal") {
   // Simple title
-  doc.setFont("helvetica", "bold");
-    doc.setFontSize(16);
-    doc.text("QUOTATION", pw / 2, 86, { align: "center" });
+    await drawFirmBrand(doc, fp, "QUOTATION");
 
     // Right-top: Date (no Ref, no Total for Internal)
 doc.setFont("helvetica", "normal");
@@ -2600,28 +4967,13 @@ doc.text(`Date: ${dateStr}`, R, 86, { align: "right" });
     doc.text(String(qHeader.customer_name || ""), L, y0); y0 += 16;
     doc.text(String(qHeader.address || ""), L, y0);       y0 += 16;
     doc.text(String(qHeader.phone || ""), L, y0);
+    if (toGstin) { y0 += 16; doc.text(`GSTIN: ${toGstin}`, L, y0); }
 
     // Table will start a bit lower
     afterHeaderY = y0 + 38;
-  } else if (firm === "HVF Agency") {
+  } else if (layout === "hvf") {
     // HVF: logo + QUOTATION (unchanged)
-    let logoBottom = 24;
-    try {
-      const img = new Image();
-      img.crossOrigin = "anonymous";
-      img.src = "/hvf-logo.png";
-      await new Promise((r) => (img.onload = r));
-      const w = 110;
-      const h = (img.height * w) / img.width;
-      const x = (pw - w) / 2;
-      const y = 24;
-      doc.addImage(img, "PNG", x, y, w, h);
-      logoBottom = y + h;
-    } catch {}
-
-    doc.setFont("helvetica", "bold");
-    doc.setFontSize(16);
-    doc.text("QUOTATION", pw / 2, logoBottom + 28, { align: "center" });
+    const { logoBottom } = await drawFirmBrand(doc, fp, docTitle);
 
     doc.setFont("helvetica", "normal");
     doc.setFontSize(10);
@@ -2638,6 +4990,10 @@ doc.text(`Date: ${dateStr}`, R, 86, { align: "right" });
     doc.text(String(qHeader.address || ""), L, y0);
     y0 += 16;
     doc.text(String(qHeader.phone || ""), L, y0);
+    if (toGstin) {
+      y0 += 16;
+      doc.text(`GSTIN: ${toGstin}`, L, y0);
+    }
 
     // Right meta (HVF keeps "Ref:")
     doc.setFont("helvetica", "normal");
@@ -2656,7 +5012,7 @@ doc.text(`Date: ${dateStr}`, R, 86, { align: "right" });
     );
 
     afterHeaderY = introY + 38; // table start
-  } else if (firm === "Victor Engineering") {
+  } else if (layout === "victor") {
     // Victor Engineering — single outer frame + divider lines (no inner boxes)
     const LINE_W = 0.9;
     const gap = 10; // vertical spacing between strips
@@ -2664,11 +5020,7 @@ doc.text(`Date: ${dateStr}`, R, 86, { align: "right" });
     const introH = 36;
 
     // Title
-    doc.setFont("times", "bold");
-    doc.setFontSize(22);
-    doc.text("Victor Engineering", pw / 2, 60, { align: "center" });
-    doc.setFontSize(14);
-    doc.text("PERFORMA INVOICE", pw / 2, 80, { align: "center" });
+    await drawFirmBrand(doc, fp, docTitle);
 
     // Outer frame
     const frameTop = 92;
@@ -2678,7 +5030,7 @@ doc.text(`Date: ${dateStr}`, R, 86, { align: "right" });
     doc.rect(L, frameTop, contentW, frameH);
 
     // Header band: bottom line + vertical split only
-    const headerH = 86;
+    const headerH = toGstin ? 100 : 86; // room for the customer's GSTIN line
     const headerBottom = frameTop + headerH;
     const splitX = L + contentW * 0.6;
 
@@ -2693,14 +5045,15 @@ doc.text(`Date: ${dateStr}`, R, 86, { align: "right" });
     doc.text(String(qHeader.customer_name || ""), L + 10, frameTop + 36);
     doc.text(String(qHeader.address || ""), L + 10, frameTop + 52);
     doc.text(String(qHeader.phone || ""), L + 10, frameTop + 68);
+    if (toGstin) doc.text(`GSTIN: ${toGstin}`, L + 10, frameTop + 84);
 
     // Right (Ref/Date/GSTIN)
     doc.setFont("times", "normal");
     const rx = splitX + 10;
     doc.text(`Ref No : ${number}`, rx, frameTop + 20);
     doc.text(`Date   : ${dateStr}`, rx, frameTop + 36);
-if (firm === "Victor Engineering") {
-  doc.text(`GSTIN  : 18BCYCP9744A1ZA`, rx, frameTop + 52);
+if (fp.gstin) {
+  doc.text(`GSTIN  : ${fp.gstin}`, rx, frameTop + 52);
 }
 
     // Subject strip — single top line
@@ -2723,13 +5076,7 @@ if (firm === "Victor Engineering") {
     afterHeaderY = introTop + introH;
   } else {
     // Mahabir Hardware Stores
-    doc.setFont("courier", "bold");
-    doc.setFontSize(20);
-    doc.text("Mahabir Hardware Stores", pw / 2, 48, { align: "center" });
-
-    doc.setFont("courier", "bold");
-    doc.setFontSize(16);
-    doc.text("QUOTATION", pw / 2, 74, { align: "center" });
+    await drawFirmBrand(doc, fp, docTitle);
 
     doc.setFont("courier", "normal");
     doc.setFontSize(10);
@@ -2745,6 +5092,10 @@ if (firm === "Victor Engineering") {
     doc.text(String(qHeader.address || ""), L, y0);
     y0 += 16;
     doc.text(String(qHeader.phone || ""), L, y0);
+    if (toGstin) {
+      y0 += 16;
+      doc.text(`GSTIN: ${toGstin}`, L, y0);
+    }
 
     doc.setFont("courier", "normal");
     doc.setFontSize(10);
@@ -2774,17 +5125,24 @@ const __descDidParse = (data) => {
   if (data.section !== "body" || data.column.index !== 1) return;
 
   const raw = (data.cell.raw ?? "").toString();
-  const nl = raw.indexOf("\n(");
+  const nl = raw.indexOf("\n");
   if (nl === -1) return;
 
   const name = raw.slice(0, nl);
   const specs = raw.slice(nl);
 
-  if (firm === "Mahabir Hardware Stores") {
+  if (layout === "mahabir") {
     data.cell.text = [name, specs];
     delete data.cell._specs;
   } else {
-    data.cell.text = [name, " "];
+    // reserve one blank line per (smaller, wrapped) spec line drawn in didDrawCell
+    const fs = data.cell.styles?.fontSize || 10;
+    const w = (Number(data.cell.styles?.cellWidth) || 200) - 12;
+    const prevSize = doc.getFontSize();
+    doc.setFontSize(fs * 0.85);
+    const lines = doc.splitTextToSize(specs, w).length - 1;
+    doc.setFontSize(prevSize);
+    data.cell.text = [name, ...Array(Math.max(1, lines)).fill(" ")];
     data.cell._specs = specs;
   }
 };
@@ -2826,119 +5184,144 @@ const __descDidDraw = (data) => {
 
 // Common theming (unchanged)
 const headFill =
-  firm === "Victor Engineering"
+  layout === "victor"
     ? [220, 235, 255]
-    : firm === "Mahabir Hardware Stores"
+    : layout === "mahabir"
     ? [225, 248, 225]
     : [230, 230, 230];
 
 const tableFont =
-  firm === "Victor Engineering"
+  layout === "victor"
     ? "times"
-    : firm === "Mahabir Hardware Stores"
+    : layout === "mahabir"
     ? "courier"
     : "helvetica";
 
-if (!gstBreakdown) {
-  // ===== Legacy table (no GST columns) — UNCHANGED =====
-  const colSl = 28;
-  const colQty = 40;
-  const colUnit = 90;
-  const colTotal = 110;
-  const colDesc = Math.max(
-    120,
-    contentW - (colSl + colQty + colUnit + colTotal)
-  );
-
-  const body = cartList.map((r, i) => [
-    String(i + 1),
-    `${r.name || ""}${r.specs ? `\n(${r.specs})` : ""}`,
-    String(r.qty || 0),
-    inr(r.unit || 0),
-    inr((r.qty || 0) * (r.unit || 0)),
-  ]);
-
+// Column specs -> autoTable head/body/columnStyles; Description (index 1) takes the rest
+// (table fonts have no ₹ glyph, hence "Rs")
+const lineDisc = (l) =>
+  discountLabel({ type: l.disc_type, value: l.disc }).replace("₹", "Rs ") || "—";
+const itemsTable = (cols, { fontSize, cellPadding, minDesc }) => {
+  const fixed = cols.reduce((a, c) => a + (c.w || 0), 0);
+  const colDesc = Math.max(minDesc, contentW - fixed);
   autoTable(doc, {
     startY: afterHeaderY,
-    head: [["Sl.", "Description", "Qty", "Unit Price", "Total (Incl. GST)"]],
-    body,
+    head: [cols.map((c) => c.head)],
+    body: pricing.lines.map((l, i) => cols.map((c) => c.v(l, i))),
     styles: {
       font: tableFont,
-      fontSize: 10,
-      cellPadding: 6,
+      fontSize,
+      cellPadding,
       overflow: "linebreak",
       textColor: [0, 0, 0],
     },
     headStyles: { fillColor: headFill, textColor: [0, 0, 0], fontStyle: "bold" },
-    columnStyles: {
-      0: { cellWidth: colSl, halign: "center" },
-      1: { cellWidth: colDesc },
-      2: { cellWidth: colQty, halign: "center" },
-      3: { cellWidth: colUnit, halign: "right" },
-      4: { cellWidth: colTotal, halign: "right" },
-    },
+    columnStyles: Object.fromEntries(
+      cols.map((c, i) => [i, { cellWidth: c.w || colDesc, ...(c.align ? { halign: c.align } : {}) }])
+    ),
     margin: { left: margin, right: margin },
     tableLineColor: [200, 200, 200],
-    tableLineWidth: firm === "Mahabir Hardware Stores" ? 0.7 : 0.5,
+    tableLineWidth: layout === "mahabir" ? 0.7 : 0.5,
     theme: "grid",
     didParseCell: __descDidParse,
     didDrawCell: __descDidDraw,
   });
+};
+
+if (!gstBreakdown) {
+  // ===== Legacy table (no GST columns); MRP / Disc. / Net only when a line is discounted =====
+  itemsTable(
+    [
+      { head: "Sl.", w: 28, align: "center", v: (l, i) => String(i + 1) },
+      { head: "Description", v: (l) => pdfDescription(l) },
+      { head: "Qty", w: 40, align: "center", v: (l) => String(l.qty || 0) },
+      ...(pricing.hasLineDisc
+        ? [
+            { head: "MRP", w: 70, align: "right", v: (l) => inr(l.unit || 0) },
+            { head: "Disc.", w: 50, align: "center", v: lineDisc },
+            { head: "Net Price", w: 70, align: "right", v: (l) => inr(l.net_unit) },
+          ]
+        : [{ head: "Unit Price", w: 90, align: "right", v: (l) => inr(l.unit || 0) }]),
+      { head: "Total (Incl. GST)", w: pricing.hasLineDisc ? 90 : 110, align: "right", v: (l) => inr(l.line_total) },
+    ],
+    { fontSize: 10, cellPadding: 6, minDesc: 120 }
+  );
 } else {
-  // ===== GST table (ONLY the table changes) =====
-  // Columns: Sl | Description | GST% | Qty | Unit (Excl. GST) | Total (Incl. GST)
-  const colSl = 28;
-  const colGST = 36;
-  const colQty = 40;
-  const colUnitEx = 90;
-  const colTotal = 110;
-  const colDesc = Math.max(
-    120,
-    contentW - (colSl + colGST + colQty + colUnitEx + colTotal)
+  // ===== GST table: CGST + SGST inside Assam, IGST for other states =====
+  // Rows are before the overall discount; the summary below is after it.
+  const gs = gstSummary(pricing.lines, qHeader.customer_state, homeState);
+  const d = pricing.hasLineDisc;
+  const rowTax = (l) => lineTaxSplit({ ...l, final_total: l.line_total }, qHeader.customer_state, homeState);
+  itemsTable(
+    [
+      { head: "Sl.", w: 22, align: "center", v: (l, i) => String(i + 1) },
+      { head: "Description", v: (l) => pdfDescription(l) },
+      { head: "Qty", w: 28, align: "center", v: (l) => String(l.qty || 0) },
+      ...(d
+        ? [
+            { head: "MRP", w: 50, align: "right", v: (l) => inr(l.unit || 0) },
+            { head: "Disc.", w: 40, align: "center", v: lineDisc },
+          ]
+        : [
+            {
+              head: "Unit (Excl. GST)",
+              w: 62,
+              align: "right",
+              v: (l) => inr2(Number(l.qty) ? rowTax(l).taxable_value / Number(l.qty) : 0),
+            },
+          ]),
+      { head: "Taxable", w: d ? 60 : 66, align: "right", v: (l) => inr2(rowTax(l).taxable_value) },
+      { head: "GST%", w: d ? 30 : 32, align: "center", v: (l) => `${rowTax(l).gst_rate}%` },
+      ...(gs.inter
+        ? [{ head: "IGST", w: d ? 48 : 54, align: "right", v: (l) => inr2(rowTax(l).igst_amount) }]
+        : [
+            { head: "CGST", w: d ? 48 : 54, align: "right", v: (l) => inr2(rowTax(l).cgst_amount) },
+            { head: "SGST", w: d ? 48 : 54, align: "right", v: (l) => inr2(rowTax(l).sgst_amount) },
+          ]),
+      { head: "Total (Incl. GST)", w: d ? 66 : 72, align: "right", v: (l) => inr(l.line_total) },
+    ],
+    { fontSize: 9, cellPadding: 5, minDesc: 110 }
   );
 
-  const body = cartList.map((r, i) => {
-    const gst = Number.isFinite(r?.gst) ? Number(r.gst) : 18;
-    const qty = Number(r.qty || 0);
-    const incl = Number(r.unit || 0);
-    const excl = incl / (1 + gst / 100);
-
-    return [
-      String(i + 1),
-      `${r.name || ""}${r.specs ? `\n(${r.specs})` : ""}`,
-      `${gst}%`,
-      String(qty || 0),
-      (Number(excl || 0)).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 }),  // Unit (Excl. GST)
-      inr(qty * incl || 0),          // Total (Incl. GST)
-    ];
-  });
-
+  // Per-rate GST summary (right-aligned, under the items)
+  const sumY = (doc.lastAutoTable?.finalY ?? afterHeaderY) + 12;
+  doc.setFont(tableFont, "normal");
+  doc.setFontSize(9);
+  doc.text(
+    `Place of supply: ${qHeader.customer_state || homeState} (${gs.inter ? "inter-state, IGST" : "intra-state, CGST + SGST"})` +
+      (pricing.overallDisc > 0 ? " — tax after overall discount" : ""),
+    L,
+    sumY + 10
+  );
+  const sumW = gs.inter ? 260 : 320;
   autoTable(doc, {
-    startY: afterHeaderY,
-    head: [["Sl.", "Description", "GST%", "Qty", "Unit Price (Excl. GST)", "Total (Incl. GST)"]],
-    body,
-    styles: {
-      font: tableFont,
-      fontSize: 10,
-      cellPadding: 6,
-      overflow: "linebreak",
-      textColor: [0, 0, 0],
-    },
-    headStyles: { fillColor: headFill, textColor: [0, 0, 0], fontStyle: "bold" },
-    columnStyles: {
-      0: { cellWidth: colSl, halign: "center" },
-      1: { cellWidth: colDesc },
-      2: { cellWidth: colGST, halign: "center" },
-      3: { cellWidth: colQty, halign: "center" },
-      4: { cellWidth: colUnitEx, halign: "right" },
-      5: { cellWidth: colTotal, halign: "right" },
+    startY: sumY + 18,
+    head: [["GST rate", "Taxable", ...(gs.inter ? ["IGST"] : ["CGST", "SGST"]), "Total tax"]],
+    body: [
+      ...gs.rates.map((b) => [
+        `${b.rate}%`,
+        inr2(b.taxable),
+        ...(gs.inter ? [inr2(b.igst)] : [inr2(b.cgst), inr2(b.sgst)]),
+        inr2(b.tax),
+      ]),
+      [
+        "Total",
+        inr2(gs.taxable),
+        ...(gs.inter ? [inr2(gs.igst)] : [inr2(gs.cgst), inr2(gs.sgst)]),
+        inr2(gs.tax),
+      ],
+    ],
+    styles: { font: tableFont, fontSize: 8.5, cellPadding: 4, halign: "right", textColor: [0, 0, 0] },
+    headStyles: { fillColor: headFill, textColor: [0, 0, 0], fontStyle: "bold", halign: "right" },
+    columnStyles: { 0: { halign: "center" } },
+    didParseCell: (data) => {
+      if (data.section === "body" && data.row.index === gs.rates.length) data.cell.styles.fontStyle = "bold";
     },
-    margin: { left: margin, right: margin },
+    tableWidth: sumW,
+    margin: { left: R - sumW, right: margin },
     tableLineColor: [200, 200, 200],
-    tableLineWidth: firm === "Mahabir Hardware Stores" ? 0.7 : 0.5,
+    tableLineWidth: 0.5,
     theme: "grid",
-    didParseCell: __descDidParse,
-    didDrawCell: __descDidDraw,
   });
 }
 
@@ -2948,12 +5331,38 @@ if (!gstBreakdown) {
 const at = doc.lastAutoTable || null;
 const totalsRightX = R - 10;
 let totalsY = (at?.finalY ?? afterHeaderY) + 18;
+// printed in whole rupees: the figure and the amount in words use the same rounded total
+const grandTotal = Math.round(cartSubtotal);
+
+// Overall discount: "Subtotal" and "Less discount" lines above the Total
+if (pricing.overallDisc > 0) {
+  const lines = [
+    ["Subtotal", inr(pricing.subtotal)],
+    [
+      `Less discount${qHeader.discount_type === "amt" ? "" : ` (${Number(qHeader.discount_value)}%)`}`,
+      `- ${inr(pricing.overallDisc)}`,
+    ],
+  ];
+  let money = "Rs";
+  if (layout === "victor") doc.setFont("helvetica", "normal");
+  else {
+    await loadRupeeFont(doc);
+    doc.setFont("NotoSans", "normal");
+    money = String.fromCharCode(0x20b9);
+  }
+  doc.setFontSize(10);
+  lines.forEach(([label, amount]) => {
+    doc.text(`${label}: ${money} ${amount}`, totalsRightX, totalsY, { align: "right" });
+    totalsY += 15;
+  });
+  totalsY += 3;
+}
 
-if (firm === "Victor Engineering") {
+if (layout === "victor") {
     // Just the text (no extra separator line)
     doc.setFont("helvetica", "bold");
     doc.setFontSize(12);
-    doc.text(`Total = Rs ${inr(cartSubtotal)}`, totalsRightX, totalsY, {
+    doc.text(`Total = Rs ${inr(grandTotal)}`, totalsRightX, totalsY, {
       align: "right",
     });
   } else {
@@ -2963,33 +5372,44 @@ if (firm === "Victor Engineering") {
       doc.setFont("NotoSans", "bold");
       doc.setFontSize(12);
       const RUPEE = String.fromCharCode(0x20b9);
-      doc.text(`Total: ${RUPEE} ${inr(cartSubtotal)}`, totalsRightX, totalsY, {
+      doc.text(`Total: ${RUPEE} ${inr(grandTotal)}`, totalsRightX, totalsY, {
         align: "right",
       });
     } catch {
       doc.setFont("helvetica", "bold");
       doc.setFontSize(12);
-      doc.text(`Total: Rs ${inr(cartSubtotal)}`, totalsRightX, totalsY, {
+      doc.text(`Total: Rs ${inr(grandTotal)}`, totalsRightX, totalsY, {
         align: "right",
       });
     }
   }
 
+  // Amount in words under the total (banks / govt. offices ask for it)
+  doc.setFont(layout === "victor" ? "times" : "helvetica", "italic");
+  doc.setFontSize(10);
+  const words = doc.splitTextToSize(amountInWords(grandTotal), contentW * 0.65);
+  totalsY += 16;
+  doc.text(words, totalsRightX, totalsY, { align: "right" });
+  totalsY += (words.length - 1) * 12;
+
   // -------------------------------
 // TERMS & BANK (HVF min anchor at ~60% page height)
 // -------------------------------
 let ty = totalsY + 28;
 // Only anchor for HVF when the table is short
-if (firm === "HVF Agency") {
+if (layout === "hvf") {
   const minTermsTop = Math.round(ph * 0.60); // 60% down the page
   if (ty < minTermsTop) ty = minTermsTop;
 }
 
-    if (firm === "Internal") {
+    if (layout === "internal") {
     // Internal: no Terms & Conditions or Bank section
-  } else if (firm === "Victor Engineering") {
-    // Keep TERMS box, BANK as text only (no rectangle)
-    const termsH = 110;
+  } else if (layout === "victor") {
+    // Keep TERMS box, BANK as text only (no rectangle); grows past 4 terms lines
+    doc.setFont("times", "normal");
+    doc.setFontSize(10);
+    const terms = doc.splitTextToSize(termsLines(quoteTerms(firms, qHeader, firm)).join("\n"), contentW - 20);
+    const termsH = Math.max(110, 48 + terms.length * 12);
 
     // TERMS rectangle (kept)
     doc.setDrawColor(90);
@@ -3002,16 +5422,7 @@ if (firm === "HVF Agency") {
 
     doc.setFont("times", "normal");
     doc.setFontSize(10);
-    doc.text(
-      [
-        "Price will be including GST % as applicable.",
-        "This Performa Invoice is valid for 15 days only.",
-        "Delivery ex-stock/2 weeks.",
-        "Goods once sold cannot be taken back.",
-      ],
-      L + 10,
-      ty + 34
-    );
+    doc.text(terms, L + 10, ty + 34);
 
         // BANK section — NO rectangle (tighter + wrapped to stay inside frame)
     const bankTop = Math.min(ty + termsH + 6, ph - margin - 90); // clamp inside page/frame bottom
@@ -3025,13 +5436,7 @@ if (firm === "HVF Agency") {
     doc.setFont("times", "normal");
     doc.setFontSize(9);
 
-    const bankLines = [
-      "M/S VICTOR ENGINEERING",
-      "Axis Bank (Moran, 785670)",
-      "Current Account",
-      "A/C No: 921020019081364",
-      "IFSC: UTIB0003701",
-    ];
+    const bankLines = fp.bank_lines || [];
 
     const bankWrapped = doc.splitTextToSize(
       bankLines.join("\n"),
@@ -3044,8 +5449,7 @@ if (firm === "HVF Agency") {
     doc.setLineWidth(0.5);
   } else {
     // HVF & Mahabir: unchanged
-    const tableFontLocal =
-      firm === "Mahabir Hardware Stores" ? "courier" : "helvetica";
+    const tableFontLocal = layout === "mahabir" ? "courier" : "helvetica";
 
     doc.setFont(tableFontLocal, "bold");
     doc.setFontSize(11);
@@ -3053,46 +5457,35 @@ if (firm === "HVF Agency") {
 
     doc.setFont(tableFontLocal, "normal");
     doc.setFontSize(10);
-    doc.text(
-      [
-        "This quotation is valid for six month from the date of issue.",
-        "Delivery is subject to stock availability and may take up to 2 weeks.",
-        "Goods once sold are non-returnable and non-exchangeable.",
-        "",
-        "Yours Faithfully",
-        firm === "Mahabir Hardware Stores" ? "Mahabir Hardware Stores" : "HVF Agency",
-        firm === "Mahabir Hardware Stores" ? "—" : "9957239143 / 9954425780",
-        firm === "Mahabir Hardware Stores" ? "GST: 18ACBPA2363D1Z9" : "GST: 18AFCPC4260P1ZB",
-        "",
-      ],
-      L,
-      ty + 16
-    );
+    const signOff = [
+      ...doc.splitTextToSize(termsLines(quoteTerms(firms, qHeader, firm)).join("\n"), contentW),
+      "",
+      "Yours Faithfully",
+      fp.name,
+      fp.phone || "—",
+      fp.gstin ? `GST: ${fp.gstin}` : "",
+      "",
+    ];
+    doc.text(signOff, L, ty + 16);
 
+    // BANK DETAILS below the sign-off (10pt lines are ~11.5pt apart)
+    const bankY = ty + 16 + Math.round(signOff.length * 11.5);
     doc.setFont(tableFontLocal, "bold");
-    doc.text("BANK DETAILS", L, ty + 120);
+    doc.text("BANK DETAILS", L, bankY);
 
     doc.setFont(tableFontLocal, "normal");
-    let bankLines = [];
-    if (firm === "HVF Agency") {
-      bankLines = [
-        "HVF AGENCY",
-        "ICICI BANK (Moran Branch)",
-        "A/C No - 199505500412",
-        "IFSC Code - ICIC0001995",
-      ];
-    } else {
-      bankLines = [
-        "AC No. 11010061051",
-        "IFSC Cord - SBIN0007368",
-        "Branch - Moran Branch",
-      ];
-    }
-    doc.text(bankLines, L, ty + 136);
+    doc.text(fp.bank_lines || [], L, bankY + 16);
   }
 
-  // ===== INTERNAL WATERMARK (draw LAST so it overlays table with low opacity) =====
-if (firm === "Internal") {
+  // ===== WATERMARK (draw LAST so it overlays table with low opacity) =====
+// Internal: "NOT VALID" on the last page; preview: "PREVIEW" on every page
+const watermarkPages = preview
+  ? Array.from({ length: doc.getNumberOfPages() }, (_, i) => i + 1)
+  : firm === "Internal"
+  ? [doc.getNumberOfPages()]
+  : [];
+watermarkPages.forEach((pg) => {
+  doc.setPage(pg);
   try {
     if (doc.GState && doc.setGState) {
       doc.setGState(new doc.GState({ opacity: 0.35 })); // lighter than before
@@ -3101,7 +5494,7 @@ if (firm === "Internal") {
   doc.setFont("helvetica", "bold");
   doc.setFontSize(110);
   doc.setTextColor(190); // fallback grey if GState not available
-  doc.text("NOT VALID", pw / 2, (ph / 2) - 216, { angle: -30, align: "center" });
+  doc.text(preview ? "PREVIEW" : "NOT VALID", pw / 2, (ph / 2) - 216, { angle: -30, align: "center" });
   // reset
   doc.setTextColor(0, 0, 0);
   try {
@@ -3109,6 +5502,16 @@ if (firm === "Internal") {
       doc.setGState(new doc.GState({ opacity: 1 }));
     }
   } catch {}
+});
+
+// Preview: hand the blob to the editor pane instead of opening a tab
+if (preview) {
+  const url = URL.createObjectURL(doc.output("blob"));
+  setPdfPreview((old) => {
+    if (old?.url) URL.revokeObjectURL(old.url);
+    return { url };
+  });
+  return;
 }
 
 // Done — open in new tab (iPhone-friendly)
@@ -3127,6 +5530,247 @@ if (pdfWindow && !pdfWindow.closed) {
 }
 };
 
+const previewPDF = async () => {
+  setPreviewBusy(true);
+  try {
+    await exportPDF({ preview: true });
+  } catch (e) {
+    console.error(e);
+    alert("Could not render preview: " + (e?.message || e));
+  } finally {
+    setPreviewBusy(false);
+  }
+};
+const closePreview = () =>
+  setPdfPreview((old) => {
+    if (old?.url) URL.revokeObjectURL(old.url);
+    return null;
+  });
+// a preview belongs to the quote on screen: drop it when leaving the editor
+useEffect(() => {
+  if (page !== "quoteEditor") closePreview();
+}, [page]);
+
+/* ---------- BROCHURE PDF (category or full catalogue) ---------- */
+const [brochureOpen, setBrochureOpen] = useState(false);
+const [brochureOpts, setBrochureOpts] = useState({
+  firm: "HVF Agency",
+  scope: "category", // "category" (current chip) | "all"
+  withSell: false, // staff copy: also print sell price
+});
+const [brochureBusy, setBrochureBusy] = useState(false);
+
+const exportBrochure = async () => {
+  const { firm: bFirm, scope } = brochureOpts;
+  const withSell = brochureOpts.withSell && (staffMode || isAdmin);
+  const onlyCat = scope === "category" && category !== "All" ? category : null;
+
+  // sections in chip order; machines without a known category go last
+  const active = items.filter((m) => !m.archived && (!onlyCat || m.category === onlyCat));
+  const catNames = [...categories, ...new Set(active.map((m) => m.category || "Other"))].filter(
+    (c, i, arr) => arr.indexOf(c) === i
+  );
+  const sections = catNames
+    .map((c) => ({
+      name: c,
+      list: active
+        .filter((m) => (m.category || "Other") === c)
+        .sort((a, b) => String(a.name).localeCompare(String(b.name))),
+    }))
+    .filter((sec) => sec.list.length);
+  if (!sections.length) return alert("No products to print.");
+
+  // pre-open the tab (iOS Safari) before the slow image loading
+  let pdfWindow = null;
+  try {
+    pdfWindow = window.open("", "_blank");
+  } catch {
+    pdfWindow = null;
+  }
+  setBrochureBusy(true);
+  try {
+    const doc = new jsPDF({ unit: "pt", format: "a4" });
+    await loadRupeeFont(doc);
+    const pw = doc.internal.pageSize.getWidth();
+    const ph = doc.internal.pageSize.getHeight();
+    const L = 40;
+    const R = pw - 40;
+    const photos = {};
+    await Promise.all(
+      active.map(async (m) => {
+        photos[m.id] = await loadPdfImage(m.thumb_url || m.image_url);
+      })
+    );
+
+    // ---- cover ----
+    const { font, titleY } = await drawFirmBrand(doc, firmProfile(firms, bFirm), "PRODUCT CATALOGUE");
+    let y = titleY + 60;
+    doc.setFont(font, "bold");
+    doc.setFontSize(26);
+    doc.text(onlyCat || "Machinery Catalogue", pw / 2, y, { align: "center" });
+    y += 24;
+    doc.setFont(font, "normal");
+    doc.setFontSize(11);
+    doc.text(`Prices as on ${todayStr()}`, pw / 2, y, { align: "center" });
+    if (withSell) {
+      y += 20;
+      doc.setTextColor(200, 0, 0);
+      doc.setFont(font, "bold");
+      doc.text("STAFF COPY — contains selling prices, not for customers", pw / 2, y, { align: "center" });
+      doc.setTextColor(0, 0, 0);
+    }
+    const tocY = y + 50;
+
+    // contents start on the cover; a long list continues on pages reserved right after it
+    // (added now, so the section page numbers it lists stay right)
+    const tocRow = 18;
+    const tocTop = 86; // first row on a continued contents page
+    const tocBottom = ph - 70;
+    const coverRows = Math.max(0, Math.floor((tocBottom - (tocY + 22)) / tocRow) + 1);
+    const pageRows = Math.floor((tocBottom - tocTop) / tocRow) + 1;
+    const tocPages = 1 + Math.ceil(Math.max(0, sections.length - coverRows) / pageRows);
+    for (let i = 1; i < tocPages; i++) doc.addPage();
+
+    // ---- category sections: 2 × 3 product cards per page ----
+    const colW = (R - L - 16) / 2;
+    const cardH = 228;
+    const top = 86;
+    const toc = [];
+    sections.forEach((sec) => {
+      doc.addPage();
+      toc.push({ name: sec.name, count: sec.list.length, page: doc.getNumberOfPages() });
+      const sectionHeader = (cont) => {
+        doc.setFont(font, "bold");
+        doc.setFontSize(16);
+        doc.text(cont ? `${sec.name} (contd.)` : sec.name, L, 56);
+        doc.setLineWidth(0.8);
+        doc.line(L, 64, R, 64);
+      };
+      sectionHeader(false);
+
+      sec.list.forEach((m, i) => {
+        const slot = i % 6;
+        if (i > 0 && slot === 0) {
+          doc.addPage();
+          sectionHeader(true);
+        }
+        const x = L + (slot % 2) * (colW + 16);
+        const cy = top + Math.floor(slot / 2) * cardH;
+
+        doc.setDrawColor(220);
+        doc.setLineWidth(0.6);
+        doc.roundedRect(x, cy, colW, cardH - 12, 6, 6);
+        doc.setDrawColor(0);
+
+        // photo, fitted into the top of the card
+        const boxH = 104;
+        const ph0 = photos[m.id];
+        if (ph0) {
+          const k = Math.min((colW - 16) / ph0.w, boxH / ph0.h);
+          const w = ph0.w * k;
+          const h = ph0.h * k;
+          doc.addImage(ph0.data, "JPEG", x + (colW - w) / 2, cy + 8 + (boxH - h) / 2, w, h);
+        }
+
+        let ty = cy + boxH + 24;
+        doc.setFont(font, "bold");
+        doc.setFontSize(11);
+        const nameLines = doc.splitTextToSize(String(m.name || ""), colW - 16).slice(0, 2);
+        doc.text(nameLines, x + 8, ty);
+        ty += nameLines.length * 13;
+
+        doc.setFont(font, "normal");
+        doc.setFontSize(8.5);
+        const details = [
+          m.model_code ? `Model: ${m.model_code}` : null,
+          ...specLines(m.attributes),
+          m.specs || null,
+        ].filter(Boolean);
+        const detailLines = doc.splitTextToSize(details.join("\n"), colW - 16);
+        const room = m.variants?.length ? 2 : 5;
+        const shown = detailLines.slice(0, room);
+        if (detailLines.length > room) shown[room - 1] = `${shown[room - 1]}…`;
+        doc.text(shown, x + 8, ty);
+
+        // prices pinned to the bottom of the card (₹ needs Noto Sans)
+        let py = cy + cardH - 22;
+        doc.setFont("NotoSans", "bold");
+        doc.setFontSize(10);
+        if (m.variants?.length) {
+          doc.setFont("NotoSans", "normal");
+          doc.setFontSize(8);
+          const vl = m.variants
+            .slice(0, 4)
+            .map(
+              (v) =>
+                `${v.label}: ₹${inr(v.mrp)}` +
+                (withSell && v.sell_price != null ? ` / ₹${inr(v.sell_price)}` : "")
+            )
+            .join("  •  ");
+          const vLines = doc.splitTextToSize(vl, colW - 16).slice(0, 2);
+          doc.text(vLines, x + 8, py - 12 - (vLines.length - 1) * 10);
+          doc.setFont("NotoSans", "bold");
+          doc.setFontSize(10);
+          doc.text(`From ₹${inr(m.mrp)} (MRP)`, x + 8, py);
+        } else {
+          doc.text(`MRP ₹${inr(m.mrp)}`, x + 8, py);
+        }
+        if (withSell && m.sell_price != null) {
+          doc.setTextColor(200, 0, 0);
+          doc.text(`Sell ₹${inr(m.sell_price)}`, x + colW - 8, py, { align: "right" });
+          doc.setTextColor(0, 0, 0);
+        }
+      });
+    });
+
+    // ---- contents: cover, then the reserved pages ----
+    const tocHeading = (page, text, hy) => {
+      doc.setPage(page);
+      doc.setFont(font, "bold");
+      doc.setFontSize(13);
+      doc.text(text, L + 60, hy);
+      doc.setFont(font, "normal");
+      doc.setFontSize(11);
+    };
+    let tocPage = 1;
+    let ry = tocY + 22;
+    tocHeading(tocPage, "Contents", tocY);
+    toc.forEach((t) => {
+      if (ry > tocBottom) {
+        tocPage += 1;
+        ry = tocTop;
+        tocHeading(tocPage, "Contents (contd.)", tocTop - 30);
+      }
+      doc.text(`${t.name} (${t.count})`, L + 60, ry);
+      doc.text(String(t.page), R - 60, ry, { align: "right" });
+      ry += tocRow;
+    });
+
+    // ---- footer on every page ----
+    const pages = doc.getNumberOfPages();
+    for (let i = 1; i <= pages; i++) {
+      doc.setPage(i);
+      doc.setFont(font, "normal");
+      doc.setFontSize(8);
+      doc.setTextColor(120);
+      doc.text(bFirm === "Internal" ? "HVF Agency" : bFirm, L, ph - 24);
+      doc.text(`Page ${i} of ${pages}`, R, ph - 24, { align: "right" });
+      doc.setTextColor(0, 0, 0);
+    }
+
+    const pdfBlobUrl = doc.output("bloburl");
+    if (pdfWindow && !pdfWindow.closed) pdfWindow.location.href = pdfBlobUrl;
+    else window.open(pdfBlobUrl, "_blank");
+    setBrochureOpen(false);
+  } catch (e) {
+    console.error("exportBrochure failed:", e);
+    if (pdfWindow && !pdfWindow.closed) pdfWindow.close();
+    alert(`Brochure export failed.\n${e?.message || e}`);
+  } finally {
+    setBrochureBusy(false);
+  }
+};
+
 // Helper: safely read delivered records from localStorage
 // Prefer the new "hvf.delivered" key; fall back to legacy keys.
 const getDeliveredList = () => {
@@ -3208,7 +5852,7 @@ async function dbFetchSanctionedHVF() {
     const { data: qRows, error: qErr } = await supabase
       .from("quotes")
       .select(
-        "id, number, firm, customer_name, phone, subject, address, total, created_at, sanctioned_status, sanctioned_mode, sanctioned_date, sanctioned_amount, csm_amount, rtnad_amount"
+        "id, number, root_number, revision, firm, customer_name, phone, subject, address, total, created_at, sanctioned_status, sanctioned_mode, sanctioned_date, sanctioned_amount, csm_amount, rtnad_amount"
       )
       .eq("firm", "HVF Agency")
       .order("created_at", { ascending: false });
@@ -3222,7 +5866,7 @@ async function dbFetchSanctionedHVF() {
     const deliveredIds = new Set((dRows || []).map((r) => r.quote_id));
 
     // 3) Detect "sanctioned" client-side (status OR mode OR amount OR date)
-    const base = (qRows || []).filter((q) => {
+    const base = latestRevisions(qRows || []).filter((q) => {
       if (deliveredIds.has(q.id)) return false;
       const hasStatus = q.sanctioned_status != null && String(q.sanctioned_status).trim() !== "";
       const hasMode   = q.sanctioned_mode   != null && String(q.sanctioned_mode).trim() !== "";
@@ -3557,7 +6201,7 @@ useEffect(() => {
 /** Delete a quote and push it to the recycle bin, then delete from DB */
 async function onDeleteQuote(row) {
   if (!row?.id) return;
-  if (!window.confirm(`Delete ${row.number}?`)) return;
+  if (!window.confirm(`Delete ${isDraftNumber(row.number) ? "this draft" : row.number}?`)) return;
 
   // add to bin, then pop open
   recycleAdd(row);
@@ -3601,7 +6245,7 @@ async function onRestoreRecycle(idx) {
 
     // allow-list payload so we never send unknown columns
     const allow = new Set([
-  "id","number","firm","firm_name","customer_name","address","phone","total",
+  "id","number","firm","firm_name","status","root_number","revision","customer_id","customer_name","customer_gstin","address","phone","total",
   "sanctioned_status","sanctioned_mode","sanctioned_date","sanctioned_amount",
   "csm_amount","rtnad_amount"
 ]);
@@ -4140,6 +6784,11 @@ button.mini.primary{
         border: "1px solid #e5e7eb",
       }}
     />
+    <div style={{ textAlign: "right", marginTop: 6 }}>
+      <button type="button" className="btn" onClick={() => setBrochureOpen(true)}>
+        📕 Brochure PDF
+      </button>
+    </div>
   </div>
 )}
          {/* Categories (hidden on savedDetailed) */}
@@ -4150,7 +6799,7 @@ button.mini.primary{
     {["All", ...categories].map((c) => (
       <button
         key={c}
-        onClick={() => setCategory(c)}
+        onClick={() => selectCategory(c)}
         className={`chip ${category === c ? "active" : ""}`}
         aria-pressed={category === c}
       >
@@ -4158,13 +6807,38 @@ button.mini.primary{
       </button>
     ))}
   </div>
+
+  {/* spec filters (only fields that have values in this category) */}
+  {specFilterOptions.length > 0 && (
+    <div style={{ display: "flex", gap: 8, flexWrap: "wrap", justifyContent: "center", marginTop: 8 }}>
+      {specFilterOptions.map(({ field, values }) => (
+        <select
+          key={field.key}
+          value={specFilter[field.key] || ""}
+          onChange={(e) => setSpecFilter((f) => ({ ...f, [field.key]: e.target.value }))}
+          aria-label={`Filter by ${field.label}`}
+          style={{ width: "auto", minWidth: 120 }}
+        >
+          <option value="">{`Any ${field.label.toLowerCase()}`}</option>
+          {values.map((v) => (
+            <option key={v} value={v}>{formatSpecValue(field, v)}</option>
+          ))}
+        </select>
+      ))}
+      {Object.values(specFilter).some(Boolean) && (
+        <button type="button" className="btn" onClick={() => setSpecFilter({})}>
+          Clear filters
+        </button>
+      )}
+    </div>
+  )}
 </div>
 
-    {/* --- Admin-only: Add Product panel --- */}
+    {/* --- Admin-only: Add / Edit Product panel --- */}
     {isAdmin && (
-      <details className="paper section" style={{ maxWidth: 1100, margin: "0 auto 16px" }}>
+      <details ref={adminFormRef} className="paper section" style={{ maxWidth: 1100, margin: "0 auto 16px" }}>
         <summary className="btn" style={{ cursor: "pointer" }}>
-          ➕ Add Product
+          {editingMachine ? `✏️ Editing: ${editingMachine.name}` : "➕ Add Product"}
         </summary>
 
         <form onSubmit={onSave} style={{ marginTop: 12 }}>
@@ -4181,6 +6855,16 @@ button.mini.primary{
               <input name="name" value={form.name} onChange={onChange} required />
             </label>
 
+            <label>
+              <div style={{ fontSize: 12, color: "#666" }}>Model code</div>
+              <input
+                name="model_code"
+                value={form.model_code}
+                onChange={onChange}
+                placeholder="e.g. N70-UPM"
+              />
+            </label>
+
             <label>
               <div style={{ fontSize: 12, color: "#666" }}>Category *</div>
               <select
@@ -4197,14 +6881,17 @@ button.mini.primary{
             </label>
 
             <label>
-              <div style={{ fontSize: 12, color: "#666" }}>MRP (₹) *</div>
+              <div style={{ fontSize: 12, color: "#666" }}>
+                {form.variants.length ? "MRP (₹) — from variants" : "MRP (₹) *"}
+              </div>
               <input
                 type="number"
                 name="mrp"
-                value={form.mrp}
+                value={form.variants.length ? "" : form.mrp}
                 onChange={onChange}
                 min="0"
-                required
+                required={!form.variants.length}
+                disabled={form.variants.length > 0}
               />
             </label>
 
@@ -4219,48 +6906,590 @@ button.mini.primary{
               />
             </label>
 
-            <label>
-              <div style={{ fontSize: 12, color: "#666" }}>Cost Price (₹)</div>
-              <input
-                type="number"
-                name="cost_price"
-                value={form.cost_price}
-                onChange={onChange}
-                min="0"
-              />
-            </label>
+            <label>
+              <div style={{ fontSize: 12, color: "#666" }}>Cost Price (₹)</div>
+              <input
+                type="number"
+                name="cost_price"
+                value={form.cost_price}
+                onChange={onChange}
+                min="0"
+              />
+            </label>
+
+            <label>
+              <div style={{ fontSize: 12, color: "#666" }}>
+                {editingMachine ? "Add photos" : "Photos"} * (compressed before upload)
+              </div>
+              <input
+                type="file"
+                accept="image/*"
+                multiple
+                onChange={onChange}
+              />
+            </label>
+
+            {(form.images.length > 0 || form.imageFiles.length > 0) && (
+              <div style={{ gridColumn: "1 / -1", display: "flex", gap: 8, flexWrap: "wrap" }}>
+                {form.images.map((img, idx) => (
+                  <div key={img.url} style={{ width: 96, textAlign: "center", fontSize: 11 }}>
+                    <img
+                      src={img.thumb || img.url}
+                      alt=""
+                      style={{ width: 96, height: 72, objectFit: "contain", border: "1px solid #eee", borderRadius: 6, background: "#fff" }}
+                    />
+                    <div style={{ display: "flex", gap: 4, justifyContent: "center" }}>
+                      {idx === 0 ? (
+                        <span className="muted">Cover</span>
+                      ) : (
+                        <button type="button" className="btn" style={{ padding: "2px 6px", fontSize: 11 }} onClick={() => makeCoverImage(idx)}>
+                          Cover
+                        </button>
+                      )}
+                      <button type="button" className="btn" style={{ padding: "2px 6px", fontSize: 11 }} onClick={() => removeKeptImage(idx)} title="Remove photo">
+                        ×
+                      </button>
+                    </div>
+                  </div>
+                ))}
+                {form.imageFiles.map((file, idx) => (
+                  <div key={`${file.name}-${idx}`} style={{ width: 96, textAlign: "center", fontSize: 11 }}>
+                    <div
+                      style={{ width: 96, height: 72, border: "1px dashed #ccc", borderRadius: 6, display: "flex", alignItems: "center", justifyContent: "center", overflow: "hidden", padding: 4, boxSizing: "border-box", wordBreak: "break-all" }}
+                      title={file.name}
+                    >
+                      New: {file.name}
+                    </div>
+                    <button type="button" className="btn" style={{ padding: "2px 6px", fontSize: 11 }} onClick={() => removeNewImage(idx)} title="Remove photo">
+                      ×
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <label style={{ gridColumn: "1 / -1" }}>
+              <div style={{ fontSize: 12, color: "#666" }}>Specs / description</div>
+              <input
+                name="specs"
+                value={form.specs}
+                onChange={onChange}
+                placeholder="Short specs shown on card"
+              />
+            </label>
+
+            {/* typed spec attributes for the selected category */}
+            {form.category &&
+              specFieldsFor(categorySpecKeys[form.category]).map((f) => (
+                <label key={f.key}>
+                  <div style={{ fontSize: 12, color: "#666" }}>
+                    {f.label}{f.unit ? ` (${f.unit})` : ""}
+                  </div>
+                  {f.type === "select" ? (
+                    <select
+                      value={form.attributes?.[f.key] || ""}
+                      onChange={(e) =>
+                        setForm((x) => ({ ...x, attributes: { ...x.attributes, [f.key]: e.target.value } }))
+                      }
+                    >
+                      <option value="">—</option>
+                      {f.options.map(([val, label]) => (
+                        <option key={val} value={val}>{label}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      type="number"
+                      inputMode="decimal"
+                      min="0"
+                      step="any"
+                      value={form.attributes?.[f.key] || ""}
+                      onChange={(e) =>
+                        setForm((x) => ({ ...x, attributes: { ...x.attributes, [f.key]: e.target.value } }))
+                      }
+                    />
+                  )}
+                </label>
+              ))}
+
+            {/* accessories listed on this machine's detail page */}
+            <label style={{ gridColumn: "1 / -1" }}>
+              <div style={{ fontSize: 12, color: "#666" }}>
+                Accessories (Ctrl / long-press to pick several)
+              </div>
+              <select
+                multiple
+                value={form.accessory_ids}
+                onChange={(e) =>
+                  setForm((f) => ({
+                    ...f,
+                    accessory_ids: Array.from(e.target.selectedOptions, (o) => o.value),
+                  }))
+                }
+                style={{ minHeight: 96 }}
+              >
+                {items
+                  .filter((x) => x.id !== editingMachine?.id)
+                  .map((x) => (
+                    <option key={x.id} value={x.id}>
+                      {x.name}{x.category ? ` — ${x.category}` : ""}
+                    </option>
+                  ))}
+              </select>
+            </label>
+
+            {/* variants: e.g. 5 / 7.5 / 10 HP, each with its own prices */}
+            <div style={{ gridColumn: "1 / -1" }}>
+              <div style={{ fontSize: 12, color: "#666", marginBottom: 6 }}>
+                Variants (optional) — each with its own MRP / sell / cost
+              </div>
+              {form.variants.map((v, idx) => (
+                <div
+                  key={v.id || `new-${idx}`}
+                  style={{
+                    display: "grid",
+                    gridTemplateColumns: "1.2fr 1fr 1fr 1fr 2fr auto",
+                    gap: 6,
+                    marginBottom: 6,
+                    alignItems: "center",
+                  }}
+                >
+                  <input
+                    placeholder="Label (e.g. 7.5 HP)"
+                    value={v.label}
+                    onChange={(e) => setVariantField(idx, "label", e.target.value)}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="MRP *"
+                    value={v.mrp}
+                    onChange={(e) => setVariantField(idx, "mrp", e.target.value)}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="Sell"
+                    value={v.sell_price}
+                    onChange={(e) => setVariantField(idx, "sell_price", e.target.value)}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="Cost"
+                    value={v.cost_price}
+                    onChange={(e) => setVariantField(idx, "cost_price", e.target.value)}
+                  />
+                  <input
+                    placeholder="Specs"
+                    value={v.specs}
+                    onChange={(e) => setVariantField(idx, "specs", e.target.value)}
+                  />
+                  <button
+                    type="button"
+                    className="btn"
+                    onClick={() => removeVariantRow(idx)}
+                    title="Remove variant"
+                  >
+                    ×
+                  </button>
+                  {/* the variant's own spec attributes; blank = same as the machine's */}
+                  {form.category && (
+                    <div style={{ gridColumn: "1 / -1", display: "flex", gap: 6, flexWrap: "wrap" }}>
+                      {specFieldsFor(categorySpecKeys[form.category]).map((f) => {
+                        const inherited = formatSpecValue(f, form.attributes?.[f.key]);
+                        const hint = `${f.label}${f.unit ? ` (${f.unit})` : ""}`;
+                        return f.type === "select" ? (
+                          <select
+                            key={f.key}
+                            value={v.attributes?.[f.key] || ""}
+                            onChange={(e) => setVariantAttr(idx, f.key, e.target.value)}
+                            title={hint}
+                          >
+                            <option value="">
+                              {f.label}: {inherited ? `as machine (${inherited})` : "—"}
+                            </option>
+                            {f.options.map(([val, label]) => (
+                              <option key={val} value={val}>{label}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          <input
+                            key={f.key}
+                            type="number"
+                            inputMode="decimal"
+                            min="0"
+                            step="any"
+                            placeholder={inherited ? `${f.label}: ${inherited}` : hint}
+                            value={v.attributes?.[f.key] || ""}
+                            onChange={(e) => setVariantAttr(idx, f.key, e.target.value)}
+                            title={hint}
+                            style={{ width: 140 }}
+                          />
+                        );
+                      })}
+                    </div>
+                  )}
+                </div>
+              ))}
+              <button type="button" className="btn" onClick={addVariantRow}>
+                + Add variant
+              </button>
+            </div>
+
+<div style={{ gridColumn: "1 / -1", textAlign: "left" }}>
+              <button
+                type="submit"
+                className="btn primary"
+                disabled={saving}
+              >
+                {saving ? "Saving…" : editingMachine ? "Update Product" : "Save Product"}
+              </button>
+              {editingMachine && (
+                <button
+                  type="button"
+                  className="btn"
+                  onClick={resetForm}
+                  disabled={saving}
+                  style={{ marginLeft: 8 }}
+                >
+                  Cancel edit
+                </button>
+              )}
+            </div>
+          </div>
+        </form>
+      </details>
+    )}
+
+    {/* --- Admin-only: Bulk import panel --- */}
+    {isAdmin && (
+      <details className="paper section" style={{ maxWidth: 1100, margin: "0 auto 16px" }}>
+        <summary className="btn" style={{ cursor: "pointer" }}>
+          📥 Import Products (CSV / XLSX)
+        </summary>
+
+        <div style={{ marginTop: 12, display: "grid", gap: 10 }}>
+          <div className="muted" style={{ fontSize: 12 }}>
+            First row must be headers: Name, Model, Category, MRP, Sell Price, Cost Price, Specs, Image.
+            Rows are matched to existing products by model code, then by name, and updated; others are added.
+            The Image column is a file name from the photos you pick below.
+          </div>
+
+          <div className="addform-grid" style={{ display: "grid", gap: 10, alignItems: "end" }}>
+            <label>
+              <div style={{ fontSize: 12, color: "#666" }}>Price list (.csv / .xlsx)</div>
+              <input type="file" accept=".csv,.xlsx" onChange={onImportFile} disabled={importing} />
+            </label>
+            <label>
+              <div style={{ fontSize: 12, color: "#666" }}>
+                Product images ({Object.keys(importImages).length} selected)
+              </div>
+              <input type="file" accept="image/*" multiple onChange={onImportImages} disabled={importing} />
+            </label>
+          </div>
+
+          {importPreview.length > 0 && (
+            <>
+              <div style={{ fontSize: 13 }}>
+                <b>{importFileName}</b> — {importPreview.length} row{importPreview.length === 1 ? "" : "s"},{" "}
+                {importValidCount} ready, {importPreview.length - importValidCount} with errors
+              </div>
+              <div style={{ overflowX: "auto", maxHeight: 420, overflowY: "auto" }}>
+                <table>
+                  <thead>
+                    <tr>
+                      <th style={{ textAlign: "left" }}>Row</th>
+                      <th style={{ textAlign: "left" }}>Name</th>
+                      <th style={{ textAlign: "left" }}>Model</th>
+                      <th style={{ textAlign: "left" }}>Category</th>
+                      <th style={{ textAlign: "right" }}>MRP</th>
+                      <th style={{ textAlign: "left" }}>Image</th>
+                      <th style={{ textAlign: "left" }}>Action</th>
+                      <th style={{ textAlign: "left" }}>Problems</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {importPreview.map((r) => (
+                      <tr key={r.line} style={{ background: r.errors.length ? "#fff5f5" : undefined }}>
+                        <td>{r.line}</td>
+                        <td>{r.name || "—"}</td>
+                        <td>{r.model_code || "—"}</td>
+                        <td>{r.category || "—"}</td>
+                        <td style={{ textAlign: "right" }}>
+                          {Number.isFinite(r.mrp) ? `₹${inr(r.mrp)}` : "—"}
+                        </td>
+                        <td>{r.imageFile ? "✅ " : ""}{r.imageName || "—"}</td>
+                        <td>
+                          {r.errors.length ? "Skip" : r.match ? "Update" : "Add"}
+                        </td>
+                        <td style={{ fontSize: 12 }}>
+                          {r.errors.map((m) => (
+                            <div key={m} style={{ color: "#b11e1e" }}>{m}</div>
+                          ))}
+                          {r.warnings.map((m) => (
+                            <div key={m} style={{ color: "#7a5900" }}>{m}</div>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div style={{ display: "flex", gap: 8 }}>
+                <button
+                  type="button"
+                  className="btn primary"
+                  onClick={runImport}
+                  disabled={importing || importValidCount === 0}
+                >
+                  {importing ? "Importing…" : `Import ${importValidCount} row${importValidCount === 1 ? "" : "s"}`}
+                </button>
+                <button type="button" className="btn" onClick={clearImport} disabled={importing}>
+                  Clear
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </details>
+    )}
+
+    {/* --- Admin-only: Firm profiles (letterhead, bank, terms, numbering) --- */}
+    {isAdmin && (
+      <details className="paper section" style={{ maxWidth: 1100, margin: "0 auto 16px" }}>
+        <summary className="btn" style={{ cursor: "pointer" }}>
+          🏢 Firms
+        </summary>
+
+        <div style={{ marginTop: 12, display: "grid", gap: 10 }}>
+          <div style={{ overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+              <thead>
+                <tr>
+                  <th style={{ textAlign: "left" }}>Firm</th>
+                  <th style={{ textAlign: "left" }}>GSTIN</th>
+                  <th style={{ textAlign: "left" }}>Numbers</th>
+                  <th style={{ textAlign: "left" }}>Layout</th>
+                  <th style={{ textAlign: "left" }}>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {firms.map((f) => (
+                  <tr key={f.name}>
+                    <td>{f.name}</td>
+                    <td>{f.gstin || "—"}</td>
+                    <td>{firmNumberHint(f)}</td>
+                    <td>{f.layout}</td>
+                    <td>{f.active !== false ? "Active" : "Hidden"}</td>
+                    <td style={{ textAlign: "right" }}>
+                      <button type="button" className="btn" onClick={() => editFirm(f)}>
+                        ✏️ Edit
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {!firmForm && (
+            <div>
+              <button type="button" className="btn" onClick={() => editFirm(null)}>
+                ➕ Add firm
+              </button>
+            </div>
+          )}
+
+          {firmForm && (
+            <form onSubmit={saveFirm} style={{ display: "grid", gap: 10, borderTop: "1px solid #eee", paddingTop: 10 }}>
+              <div className="addform-grid" style={{ display: "grid", gap: 10, alignItems: "end" }}>
+                <label>
+                  <div style={{ fontSize: 12, color: "#666" }}>Name *</div>
+                  <input
+                    name="name"
+                    value={firmForm.name}
+                    onChange={onFirmField}
+                    disabled={!firmForm.isNew}
+                    title={firmForm.isNew ? "" : "Saved quotes refer to the firm by name"}
+                    required
+                  />
+                </label>
+                <label>
+                  <div style={{ fontSize: 12, color: "#666" }}>GSTIN</div>
+                  <input name="gstin" value={firmForm.gstin} onChange={onFirmField} maxLength={15} />
+                </label>
+                <label>
+                  <div style={{ fontSize: 12, color: "#666" }}>Phone</div>
+                  <input name="phone" value={firmForm.phone} onChange={onFirmField} />
+                </label>
+                <label>
+                  <div style={{ fontSize: 12, color: "#666" }}>Address</div>
+                  <input name="address" value={firmForm.address} onChange={onFirmField} />
+                </label>
+                <label>
+                  <div style={{ fontSize: 12, color: "#666" }}>Document title</div>
+                  <input name="doc_title" value={firmForm.doc_title} onChange={onFirmField} />
+                </label>
+                <label>
+                  <div style={{ fontSize: 12, color: "#666" }}>PDF layout</div>
+                  <select name="layout" value={firmForm.layout} onChange={onFirmField}>
+                    {FIRM_LAYOUTS.map((l) => (
+                      <option key={l} value={l}>
+                        {l === "hvf" ? "Logo (HVF style)" : l === "victor" ? "Framed invoice (Victor style)" : "Courier (Mahabir style)"}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  <div style={{ fontSize: 12, color: "#666" }}>Number prefix *</div>
+                  <input
+                    name="number_prefix"
+                    value={firmForm.number_prefix}
+                    onChange={onFirmField}
+                    placeholder="APP/H"
+                    required
+                  />
+                </label>
+                <label>
+                  <div style={{ fontSize: 12, color: "#666" }}>Digits (0 = no padding)</div>
+                  <input name="number_digits" type="number" min={0} max={6} value={firmForm.number_digits} onChange={onFirmField} />
+                </label>
+                <label>
+                  <div style={{ fontSize: 12, color: "#666" }}>Order</div>
+                  <input name="sort_order" type="number" value={firmForm.sort_order} onChange={onFirmField} />
+                </label>
+                <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  <input
+                    name="active"
+                    type="checkbox"
+                    checked={firmForm.active}
+                    onChange={onFirmField}
+                    style={{ width: "auto" }}
+                  />
+                  Active (offered for new quotes)
+                </label>
+              </div>
+
+              <div className="addform-grid" style={{ display: "grid", gap: 10 }}>
+                <label>
+                  <div style={{ fontSize: 12, color: "#666" }}>Bank details (one line each)</div>
+                  <textarea name="bank_text" rows={5} value={firmForm.bank_text} onChange={onFirmField} />
+                </label>
+                <label>
+                  <div style={{ fontSize: 12, color: "#666" }}>Default T&amp;C template</div>
+                  <select name="default_terms_id" value={firmForm.default_terms_id} onChange={onFirmField}>
+                    <option value="">— none —</option>
+                    {termsTemplates.map((t) => (
+                      <option key={t.id} value={t.id}>
+                        {t.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
 
-            <label>
-              <div style={{ fontSize: 12, color: "#666" }}>Image *</div>
-              <input
-                type="file"
-                accept="image/*"
-                onChange={onChange}
-                required
-              />
-            </label>
+              <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+                {firmForm.logo_url && (
+                  <img src={firmForm.logo_url} alt="" style={{ height: 40, objectFit: "contain" }} />
+                )}
+                <label>
+                  <div style={{ fontSize: 12, color: "#666" }}>Logo (used by the HVF-style layout)</div>
+                  <input type="file" accept="image/png,image/jpeg" onChange={onFirmLogo} />
+                </label>
+                {firmForm.logo_url && (
+                  <button
+                    type="button"
+                    className="btn"
+                    onClick={() => setFirmForm((f) => ({ ...f, logo_url: "" }))}
+                  >
+                    Remove logo
+                  </button>
+                )}
+              </div>
 
-            <label style={{ gridColumn: "1 / -1" }}>
-              <div style={{ fontSize: 12, color: "#666" }}>Specs / description</div>
-              <input
-                name="specs"
-                value={form.specs}
-                onChange={onChange}
-                placeholder="Short specs shown on card"
-              />
-            </label>
+              <div style={{ display: "flex", gap: 8 }}>
+                <button type="submit" className="btn primary" disabled={firmSaving}>
+                  {firmSaving ? "Saving…" : firmForm.isNew ? "Add firm" : "Save firm"}
+                </button>
+                <button type="button" className="btn" onClick={() => setFirmForm(null)} disabled={firmSaving}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </details>
+    )}
 
-<div style={{ gridColumn: "1 / -1", textAlign: "left" }}>
-              <button
-                type="submit"
-                className="btn primary"
-                disabled={saving}
-              >
-                {saving ? "Saving…" : "Save Product"}
+    {/* --- Admin-only: Terms & Conditions templates --- */}
+    {isAdmin && (
+      <details className="paper section" style={{ maxWidth: 1100, margin: "0 auto 16px" }}>
+        <summary className="btn" style={{ cursor: "pointer" }}>
+          📄 T&amp;C Templates
+        </summary>
+
+        <div style={{ marginTop: 12, display: "grid", gap: 10 }}>
+          {termsTemplates.length === 0 && <div className="muted">No templates yet.</div>}
+          {termsTemplates.map((t) => (
+            <div key={t.id} style={{ display: "flex", gap: 10, alignItems: "flex-start", borderBottom: "1px solid #f1f1f1", paddingBottom: 8 }}>
+              <div style={{ flex: 1 }}>
+                <div style={{ fontWeight: 600 }}>
+                  {t.name}
+                  {firms.some((f) => f.default_terms_id === t.id) && (
+                    <span className="muted" style={{ fontWeight: 400, fontSize: 12 }}>
+                      {" "}• default for {firms.filter((f) => f.default_terms_id === t.id).map((f) => f.name).join(", ")}
+                    </span>
+                  )}
+                </div>
+                <div style={{ fontSize: 12, color: "#6b7280", whiteSpace: "pre-line" }}>{t.body}</div>
+              </div>
+              <button type="button" className="btn" onClick={() => setTermsForm({ ...t })}>
+                ✏️ Edit
+              </button>
+              <button type="button" className="btn" onClick={() => deleteTermsTemplate(t)}>
+                🗑️
               </button>
             </div>
-          </div>
-        </form>
+          ))}
+
+          {!termsForm && (
+            <div>
+              <button type="button" className="btn" onClick={() => setTermsForm({ name: "", body: "" })}>
+                ➕ Add template
+              </button>
+            </div>
+          )}
+
+          {termsForm && (
+            <form onSubmit={saveTermsTemplate} style={{ display: "grid", gap: 10 }}>
+              <label>
+                <div style={{ fontSize: 12, color: "#666" }}>Name *</div>
+                <input
+                  value={termsForm.name}
+                  onChange={(e) => setTermsForm((t) => ({ ...t, name: e.target.value }))}
+                  required
+                />
+              </label>
+              <label>
+                <div style={{ fontSize: 12, color: "#666" }}>Conditions (one per line)</div>
+                <textarea
+                  rows={6}
+                  value={termsForm.body}
+                  onChange={(e) => setTermsForm((t) => ({ ...t, body: e.target.value }))}
+                />
+              </label>
+              <div style={{ display: "flex", gap: 8 }}>
+                <button type="submit" className="btn primary" disabled={termsSaving}>
+                  {termsSaving ? "Saving…" : "Save template"}
+                </button>
+                <button type="button" className="btn" onClick={() => setTermsForm(null)} disabled={termsSaving}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
       </details>
     )}
   </>
@@ -4274,9 +7503,15 @@ button.mini.primary{
           ) : (
             <div className="catalog-grid">
               {filtered.map((m) => (
-                <div key={m.id} className="card">
+                <div
+                  key={m.id}
+                  id={`machine-${m.id}`}
+                  className="card"
+                  style={m.archived ? { opacity: 0.6 } : undefined}
+                >
                   <div
                     className="thumb"
+                    onClick={() => openGallery(m)}
                     style={{
                       height: 240,
                       display: "flex",
@@ -4287,11 +7522,21 @@ button.mini.primary{
                       borderTopLeftRadius: 10,
                       borderTopRightRadius: 10,
                       overflow: "hidden",
+                      position: "relative",
+                      cursor: m.image_url ? "zoom-in" : "default",
                     }}
                   >
+                    {machineImages(m).length > 1 && (
+                      <span
+                        className="badge"
+                        style={{ position: "absolute", right: 8, bottom: 8 }}
+                      >
+                        📷 {machineImages(m).length}
+                      </span>
+                    )}
                     {m.image_url && (
                       <img
-                        src={m.image_url}
+                        src={m.thumb_url || m.image_url}
                         alt={m.name}
                         loading="lazy"
                         style={{
@@ -4309,9 +7554,36 @@ button.mini.primary{
                   </div>
 
                   <div className="card-body" style={{ display: "flex", flexDirection: "column" }}>
-                    <h3 className="pname" title={m.name}>{m.name}</h3>
-                    {m.specs && <p className="specs">{m.specs}</p>}
-                    <p style={{ fontWeight: 700 }}>₹{inr(m.mrp)}</p>
+                    <h3 className="pname" title={m.name}>
+                      <Link
+                        to={`/machine/${encodeURIComponent(m.id)}`}
+                        onClick={(e) => {
+                          e.preventDefault();
+                          openMachine(m);
+                        }}
+                        style={{ color: "inherit", textDecoration: "none" }}
+                      >
+                        <Highlight text={m.name} ranges={searchHits[m.id]?.name} />
+                      </Link>
+                    </h3>
+                    {m.model_code && searchHits[m.id]?.model_code && (
+                      <p style={{ color: "#777", fontSize: 12, margin: "0 0 4px" }}>
+                        Model: <Highlight text={m.model_code} ranges={searchHits[m.id].model_code} />
+                      </p>
+                    )}
+                    {m.specs && (
+                      <p className="specs">
+                        <Highlight text={m.specs} ranges={searchHits[m.id]?.specs} />
+                      </p>
+                    )}
+                    <p style={{ fontWeight: 700 }}>
+                      {m.variants?.length > 0 ? "From " : ""}₹{inr(m.mrp)}
+                      {m.variants?.length > 0 && (
+                        <span style={{ color: "#777", fontWeight: 500, fontSize: 12 }}>
+                          {" "}• {m.variants.length} variant{m.variants.length === 1 ? "" : "s"}
+                        </span>
+                      )}
+                    </p>
                     {(staffMode || isAdmin) && m.sell_price != null && (
   <div
     style={{
@@ -4338,23 +7610,29 @@ button.mini.primary{
   </div>
 )}
                     {m.category && (
-                      <p style={{ color: "#777", fontSize: 12 }}>{m.category}</p>
+                      <p style={{ color: "#777", fontSize: 12 }}>
+                        <Highlight text={m.category} ranges={searchHits[m.id]?.category} />
+                      </p>
                     )}
 
-                    {quoteMode && (
-  <div className="addbar">
-    { (cart[m.id]?.qty || 0) > 0 ? (
-      <div className="qtywrap" role="group" aria-label="Quantity selector">
-        <button className="op" onClick={() => dec(m)} aria-label="Decrease">−</button>
-        <div className="num">{cart[m.id]?.qty || 0}</div>
-        <button className="op" onClick={() => inc(m)} aria-label="Increase">+</button>
-      </div>
-    ) : (
-      <button className="addbtn" onClick={() => inc(m)}>Add</button>
-    )}
+                    {/* admin-only: edit / archive / delete */}
+                    {isAdmin && (
+  <div style={{ display: "flex", gap: 6, justifyContent: "center", flexWrap: "wrap", marginBottom: 8 }}>
+    {m.archived && <span className="badge" style={{ alignSelf: "center" }}>Archived</span>}
+    <button type="button" className="btn" onClick={() => startEditMachine(m)}>
+      Edit
+    </button>
+    <button type="button" className="btn" onClick={() => toggleArchiveMachine(m)}>
+      {m.archived ? "Unarchive" : "Archive"}
+    </button>
+    <button type="button" className="btn danger" onClick={() => deleteMachine(m)}>
+      Delete
+    </button>
   </div>
 )}
 
+                    {quoteMode && quoteControls(m)}
+
                   </div>
                 </div>
               ))}
@@ -4368,6 +7646,239 @@ button.mini.primary{
         </div>
       )}
 
+      {/* PAGE: MACHINE DETAIL (/machine/:id) */}
+      {page === "machine" && (
+        <div style={{ maxWidth: 1100, margin: "0 auto 40px", padding: "0 12px" }}>
+          <button type="button" className="btn" onClick={() => setPage("catalog")} style={{ marginBottom: 12 }}>
+            ← Back to Catalog
+          </button>
+
+          {loading ? (
+            <p style={{ textAlign: "center" }}>Loading…</p>
+          ) : !detailMachine || (detailMachine.archived && !isAdmin) ? (
+            <div className="paper section" style={{ textAlign: "center" }}>
+              <p style={{ margin: 0 }}>This machine is not available any more.</p>
+            </div>
+          ) : (() => {
+            const m = detailMachine;
+            const images = machineImages(m);
+            const img = images[Math.min(detailImgIdx, images.length - 1)];
+            const specRows = specFieldsFor(Object.keys(m.attributes || {})).map((f) => ({
+              label: f.label,
+              value: formatSpecValue(f, m.attributes[f.key]),
+            }));
+            return (
+              <>
+                <div
+                  className="paper section"
+                  style={{
+                    display: "grid",
+                    gridTemplateColumns: "repeat(auto-fit, minmax(280px, 1fr))",
+                    gap: 20,
+                    alignItems: "start",
+                  }}
+                >
+                  {/* photos */}
+                  <div>
+                    <div
+                      onClick={() => openGallery(m, detailImgIdx)}
+                      onTouchStart={(e) => {
+                        galleryTouchX.current = e.touches[0].clientX;
+                      }}
+                      onTouchEnd={(e) => {
+                        const start = galleryTouchX.current;
+                        galleryTouchX.current = null;
+                        if (start == null || images.length < 2) return;
+                        const dx = e.changedTouches[0].clientX - start;
+                        if (Math.abs(dx) > 40) {
+                          setDetailImgIdx((i) => (i + (dx < 0 ? 1 : -1) + images.length) % images.length);
+                        }
+                      }}
+                      style={{
+                        height: 360,
+                        display: "flex",
+                        alignItems: "center",
+                        justifyContent: "center",
+                        background: "#fff",
+                        border: "1px solid #eee",
+                        borderRadius: 10,
+                        overflow: "hidden",
+                        cursor: img ? "zoom-in" : "default",
+                      }}
+                    >
+                      {img ? (
+                        <img
+                          src={img.url}
+                          alt={m.name}
+                          style={{ maxWidth: "100%", maxHeight: "100%", objectFit: "contain" }}
+                        />
+                      ) : (
+                        <span className="muted">No photo</span>
+                      )}
+                    </div>
+                    {images.length > 1 && (
+                      <div style={{ display: "flex", gap: 6, marginTop: 8, overflowX: "auto" }}>
+                        {images.map((im, i) => (
+                          <img
+                            key={im.url}
+                            src={im.thumb || im.url}
+                            alt=""
+                            onClick={() => setDetailImgIdx(i)}
+                            style={{
+                              width: 64,
+                              height: 48,
+                              objectFit: "cover",
+                              borderRadius: 6,
+                              cursor: "pointer",
+                              border: i === detailImgIdx ? "2px solid #0d6efd" : "1px solid #eee",
+                            }}
+                          />
+                        ))}
+                      </div>
+                    )}
+                  </div>
+
+                  {/* details */}
+                  <div>
+                    <h2 style={{ margin: "0 0 4px" }}>{m.name}</h2>
+                    <div className="muted" style={{ fontSize: 13, marginBottom: 10 }}>
+                      {[m.category, m.model_code && `Model ${m.model_code}`].filter(Boolean).join(" • ")}
+                      {m.archived && <span className="badge" style={{ marginLeft: 8 }}>Archived</span>}
+                    </div>
+
+                    <div style={{ fontSize: 22, fontWeight: 700 }}>
+                      {m.variants?.length > 0 ? "From " : ""}₹{inr(m.mrp)}
+                      <span className="muted" style={{ fontSize: 12, fontWeight: 500 }}> MRP</span>
+                    </div>
+                    {(staffMode || isAdmin) && m.sell_price != null && (
+                      <div style={{ fontWeight: 700, display: "flex", gap: 8, alignItems: "baseline" }}>
+                        <span style={{ color: "#d32f2f" }}>₹{inr(m.sell_price)}</span>
+                        {isAdmin && m.cost_price != null && (
+                          <>
+                            <span style={{ color: "#bbb" }}>/</span>
+                            <span style={{ color: "#d4a106" }}>₹{inr(m.cost_price)}</span>
+                          </>
+                        )}
+                      </div>
+                    )}
+
+                    {m.variants?.length > 0 && (
+                      <table style={{ width: "100%", marginTop: 12, borderCollapse: "collapse", fontSize: 14 }}>
+                        <thead>
+                          <tr style={{ textAlign: "left", borderBottom: "1px solid #eee" }}>
+                            <th>Variant</th>
+                            <th>MRP</th>
+                            {(staffMode || isAdmin) && <th>Sell</th>}
+                            {isAdmin && <th>Cost</th>}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {m.variants.map((v) => (
+                            <tr key={v.id} style={{ borderBottom: "1px solid #f3f3f3" }}>
+                              <td>
+                                <div style={{ fontWeight: 600 }}>{v.label}</div>
+                                {v.specs && <div className="muted" style={{ fontSize: 12 }}>{v.specs}</div>}
+                              </td>
+                              <td>₹{inr(v.mrp)}</td>
+                              {(staffMode || isAdmin) && (
+                                <td style={{ color: "#d32f2f" }}>{v.sell_price != null ? `₹${inr(v.sell_price)}` : "—"}</td>
+                              )}
+                              {isAdmin && (
+                                <td style={{ color: "#d4a106" }}>{v.cost_price != null ? `₹${inr(v.cost_price)}` : "—"}</td>
+                              )}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+
+                    {(m.specs || specRows.length > 0) && (
+                      <div style={{ marginTop: 14 }}>
+                        <div style={{ fontWeight: 700, marginBottom: 4 }}>Specifications</div>
+                        {m.specs && <p style={{ margin: "0 0 6px", whiteSpace: "pre-wrap" }}>{m.specs}</p>}
+                        {specRows.length > 0 && (
+                          <table style={{ borderCollapse: "collapse", fontSize: 14 }}>
+                            <tbody>
+                              {specRows.map((r) => (
+                                <tr key={r.label}>
+                                  <td className="muted" style={{ paddingRight: 16 }}>{r.label}</td>
+                                  <td>{r.value}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        )}
+                      </div>
+                    )}
+
+                    <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginTop: 16 }}>
+                      {quoteMode ? (
+                        quoteControls(m)
+                      ) : m.archived ? null : (
+                        <button
+                          type="button"
+                          className="btn primary"
+                          onClick={() => {
+                            // unlock, then add it (variant machines: the picker asks which one)
+                            if (!ensureQuoteAccess()) return;
+                            if (m.variants?.length > 0) setVariantPick(m);
+                            else inc(m);
+                          }}
+                        >
+                          Add to quote
+                        </button>
+                      )}
+                      <button type="button" className="btn" onClick={() => shareMachine(m)}>
+                        Share on WhatsApp
+                      </button>
+                    </div>
+                  </div>
+                </div>
+
+                {detailRelated.list.length > 0 && (
+                  <div style={{ marginTop: 16 }}>
+                    <h3 style={{ margin: "0 0 8px" }}>{detailRelated.title}</h3>
+                    <div className="catalog-grid">
+                      {detailRelated.list.map((x) => (
+                        <div key={x.id} className="card" style={{ cursor: "pointer" }} onClick={() => openMachine(x)}>
+                          <div
+                            className="thumb"
+                            style={{
+                              height: 160,
+                              display: "flex",
+                              alignItems: "center",
+                              justifyContent: "center",
+                              background: "#fff",
+                              borderBottom: "1px solid #eee",
+                              overflow: "hidden",
+                            }}
+                          >
+                            {x.image_url && (
+                              <img
+                                src={x.thumb_url || x.image_url}
+                                alt={x.name}
+                                loading="lazy"
+                                style={{ maxWidth: "100%", maxHeight: "100%", objectFit: "contain" }}
+                              />
+                            )}
+                          </div>
+                          <div className="card-body">
+                            <h3 className="pname" title={x.name}>{x.name}</h3>
+                            <p style={{ fontWeight: 700 }}>
+                              {x.variants?.length > 0 ? "From " : ""}₹{inr(x.mrp)}
+                            </p>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </>
+            );
+          })()}
+        </div>
+      )}
+
       {/* PAGE: QUOTE EDITOR */}
       {page === "quoteEditor" && (
         <div
@@ -4408,14 +7919,22 @@ button.mini.primary{
                   gap: 8,
                 }}
               >
-                <label>
-                  <div style={{ fontSize: 12, color: "#666" }}>Customer Name</div>
+                <label style={{ position: "relative" }}>
+                  <div style={{ fontSize: 12, color: "#666" }}>
+                    Customer Name
+                    {qHeader.customer_id && <span style={{ color: "#15803d" }}> · ✓ saved customer</span>}
+                  </div>
                   <input
                     value={qHeader.customer_name}
-                    onChange={(e) =>
-                      setQHeader({ ...qHeader, customer_name: e.target.value })
-                    }
+                    onChange={(e) => {
+                      // a different name is a different customer: matched again on save
+                      setQHeader({ ...qHeader, customer_name: e.target.value, customer_id: null });
+                      suggestCustomers("name", e.target.value);
+                    }}
+                    onBlur={closeCustomerSuggestions}
+                    autoComplete="off"
                   />
+                  {customerSuggestions("name")}
                 </label>
 
                 <label>
@@ -4428,7 +7947,7 @@ button.mini.primary{
                   />
                 </label>
 
-                <label>
+                <label style={{ position: "relative" }}>
   <div style={{ fontSize: 12, color: "#666" }}>Phone</div>
   <input
     type="tel"
@@ -4440,12 +7959,54 @@ button.mini.primary{
     pattern="[0-9+() -]*"
     placeholder="e.g. 98765 43210"
     value={qHeader.phone}
-    onChange={(e) =>
-      setQHeader({ ...qHeader, phone: e.target.value })
-    }
+    onChange={(e) => {
+      setQHeader({ ...qHeader, phone: e.target.value });
+      suggestCustomers("phone", e.target.value);
+    }}
+    onBlur={closeCustomerSuggestions}
   />
+  {customerSuggestions("phone")}
 </label>
 
+                <label>
+                  <div style={{ fontSize: 12, color: "#666" }}>
+                    State (place of supply) — {isInterState(qHeader.customer_state, homeState) ? "IGST" : "CGST + SGST"}
+                  </div>
+                  <select
+                    value={qHeader.customer_state || homeState || ""}
+                    onChange={(e) =>
+                      setQHeader({ ...qHeader, customer_state: e.target.value })
+                    }
+                  >
+                    {INDIAN_STATES.map((st) => (
+                      <option key={st} value={st}>{st}</option>
+                    ))}
+                  </select>
+                </label>
+
+                <label>
+                  <div style={{ fontSize: 12, color: "#666" }}>Customer GSTIN (B2B, optional)</div>
+                  <input
+                    value={qHeader.customer_gstin || ""}
+                    maxLength={15}
+                    placeholder="e.g. 18AFCPC4260P1ZB"
+                    autoCapitalize="characters"
+                    autoComplete="off"
+                    style={{ textTransform: "uppercase" }}
+                    onChange={(e) => {
+                      const g = normalizeGstin(e.target.value);
+                      // a valid GSTIN decides the place of supply
+                      const st = !gstinError(g) && stateFromGstin(g);
+                      setQHeader({ ...qHeader, customer_gstin: g, ...(st ? { customer_state: st } : {}) });
+                    }}
+                  />
+                  {gstinError(qHeader.customer_gstin) && (
+                    <div style={{ fontSize: 12, color: "#b91c1c", marginTop: 2 }}>
+                      {gstinError(qHeader.customer_gstin)}
+                    </div>
+                  )}
+                </label>
+
                 <div style={{ gridColumn: "1 / span 2", marginTop: 8, fontSize: 14 }}>
                   Dear Sir/Madam,<br />
                   With reference to your enquiry we are pleased to offer you as
@@ -4457,28 +8018,23 @@ button.mini.primary{
             {/* right: quotation meta (firm-aware) */}
             <div style={{ width: 240, textAlign: "right" }}>
               <div style={{ fontWeight: 700, marginBottom: 6 }}>
-  {firm === "Victor Engineering" ? "PERFORMA INVOICE" : "QUOTATION"}
+  {firmProfile(firms, firm)?.doc_title || "QUOTATION"}
 </div>
 
 {firm !== "Internal" && (
   <div style={{ display: "flex", alignItems: "center", gap: 8, justifyContent: "flex-end" }}>
     <div>
-      {firm === "Mahabir Hardware Stores"
+      {firmLayout(firms, firm) === "mahabir"
         ? "Quotation Number: "
-        : firm === "Victor Engineering"
+        : firmLayout(firms, firm) === "victor"
         ? "Ref No: "
         : "Ref: "}
-      {qHeader.number ||
-        (firm === "Mahabir Hardware Stores"
-          ? "MH1052"
-          : firm === "Victor Engineering"
-          ? "APP/VE001"
-          : "APP/H###")}
+      {qHeader.number || `Draft (${firmNumberHint(firmProfile(firms, firm))})`}
     </div>
     <button
       type="button"
       onClick={assignNewNumber}
-      title="Assign a fresh quotation number"
+      title={qHeader.number ? "Assign a fresh quotation number" : "Finalize: save and assign the next number"}
       style={{
         padding: "4px 10px",
         borderRadius: 6,
@@ -4492,6 +8048,31 @@ button.mini.primary{
   </div>
 )}
 
+{/* Revisions: pick one to open it; earlier ones are kept as issued */}
+{firm !== "Internal" && quoteRevisions.length > 1 && (
+  <div style={{ marginTop: 4 }}>
+    <select
+      value={editingQuoteId || ""}
+      onChange={(e) => {
+        const r = quoteRevisions.find((x) => x.id === e.target.value);
+        if (r) editSaved(r.number);
+      }}
+      title="Open another revision of this quote"
+    >
+      {quoteRevisions.map((r) => (
+        <option key={r.id} value={r.id}>
+          {r.revision > 1 ? `R${r.revision}` : "Original"} · {fmtDate(r.created_at)} · ₹{inr(r.total)}
+        </option>
+      ))}
+    </select>
+    {editingQuoteId !== quoteRevisions[quoteRevisions.length - 1].id && (
+      <div style={{ fontSize: 12, color: "#92400e", marginTop: 2 }}>
+        Earlier revision (read-only): saving changes makes R{quoteRevisions[quoteRevisions.length - 1].revision + 1}
+      </div>
+    )}
+  </div>
+)}
+
 <div
   style={{
     display: "flex",
@@ -4550,10 +8131,12 @@ button.mini.primary{
                   border: "1px solid #e5e7eb",
                 }}
               >
-                <option>HVF Agency</option>
-<option>Victor Engineering</option>
-<option>Mahabir Hardware Stores</option>
-<option>Internal</option>
+                {firms
+                  .filter((f) => f.active !== false || f.name === firm)
+                  .map((f) => (
+                    <option key={f.name}>{f.name}</option>
+                  ))}
+                <option>Internal</option>
               </select>
 <span style={{ marginLeft: 16 }}>
   <Toggle
@@ -4579,6 +8162,7 @@ button.mini.primary{
 
     <th style={{ width: 80 }}>Qty</th>
     <th style={{ width: 120 }}>Unit Price (Incl. GST)</th>
+    <th style={{ width: 130 }}>Disc.</th>
     <th style={{ width: 130 }}>Total (Incl. GST)</th>
     <th style={{ width: 40 }}></th>
   </tr>
@@ -4597,6 +8181,11 @@ button.mini.primary{
             }))
           }
         />
+        {r.variant_label && (
+          <span className="badge" style={{ display: "inline-block", marginTop: 4 }}>
+            {r.variant_label}
+          </span>
+        )}
       </td>
       <td>
         <input
@@ -4608,6 +8197,11 @@ button.mini.primary{
             }))
           }
         />
+        {specLines(r.attributes).length > 0 && (
+          <div style={{ fontSize: 12, color: "#6b7280", marginTop: 4 }}>
+            {specLines(r.attributes).join(" • ")}
+          </div>
+        )}
       </td>
 
       {/* ✅ NEW: GST % cell, only when GST breakdown is ON */}
@@ -4658,23 +8252,57 @@ button.mini.primary{
     <div style={{ fontSize: 12, color: "#6b7280", marginTop: 4 }}>
       Excl.: ₹
       {inr(
-        (r.unit || 0) /
+        pricing.lines[i].net_unit /
           (1 + ((Number.isFinite(r.gst) ? r.gst : 18) / 100))
       )}
     </div>
   )}
+</td>
+      <td>
+  {/* Line discount: % of the unit price or ₹ off each unit */}
+  <div style={{ display: "flex", gap: 4 }}>
+    <input
+      type="number"
+      value={r.disc || ""}
+      min={0}
+      placeholder="0"
+      onChange={(e) =>
+        setCart((c) => ({
+          ...c,
+          [r.id]: { ...r, disc: Number(e.target.value) },
+        }))
+      }
+    />
+    <select
+      value={r.disc_type || "pct"}
+      onChange={(e) =>
+        setCart((c) => ({
+          ...c,
+          [r.id]: { ...r, disc_type: e.target.value },
+        }))
+      }
+    >
+      <option value="pct">%</option>
+      <option value="amt">₹</option>
+    </select>
+  </div>
+  {pricing.lines[i].net_unit !== Number(r.unit || 0) && (
+    <div style={{ fontSize: 12, color: "#6b7280", marginTop: 4 }}>
+      Net ₹{inr(pricing.lines[i].net_unit)}
+    </div>
+  )}
 </td>
       <td style={{ textAlign: "right", fontWeight: 700 }}>
-  {/* Existing total: Qty × Unit (inclusive) */}
-  ₹{inr((r.qty || 0) * (r.unit || 0))}
+  {/* Qty × net unit (inclusive) */}
+  ₹{inr(pricing.lines[i].line_total)}
 
   {/* NEW: show excl. GST total when breakdown is ON */}
   {gstBreakdown && (
     <div style={{ fontSize: 12, color: "#6b7280", marginTop: 4, fontWeight: 500 }}>
       Excl.: ₹
       {inr(
-        (r.qty || 0) *
-          ((r.unit || 0) / (1 + ((Number.isFinite(r.gst) ? r.gst : 18) / 100)))
+        pricing.lines[i].line_total /
+          (1 + ((Number.isFinite(r.gst) ? r.gst : 18) / 100))
       )}
     </div>
   )}
@@ -4706,39 +8334,85 @@ button.mini.primary{
 <tfoot>
   <tr>
     {/* Label spans up to the Total column */}
-    <td colSpan={gstBreakdown ? 6 : 5} style={{ textAlign: "right", fontWeight: 700 }}>
-      Total (Incl. GST):
+    <td colSpan={gstBreakdown ? 7 : 6} style={{ textAlign: "right", fontWeight: 700 }}>
+      Subtotal (Incl. GST):
     </td>
 
-    {/* Inclusive Total */}
+    {/* Inclusive Total, after line discounts */}
     <td style={{ textAlign: "right", fontWeight: 700 }}>
-      ₹{inr(
-        cartList.reduce((sum, r) => sum + (r.qty || 0) * (r.unit || 0), 0)
-      )}
+      ₹{inr(pricing.subtotal)}
     </td>
 
     {/* Empty last cell for the delete/actions column */}
     <td></td>
   </tr>
 
+  {/* Overall discount on the subtotal */}
+  <tr>
+    <td colSpan={gstBreakdown ? 7 : 6} style={{ textAlign: "right" }}>
+      <span style={{ display: "inline-flex", gap: 6, alignItems: "center" }}>
+        Overall discount:
+        <input
+          type="number"
+          min={0}
+          placeholder="0"
+          value={qHeader.discount_value || ""}
+          onChange={(e) => setQHeader({ ...qHeader, discount_value: Number(e.target.value) })}
+          style={{ width: 90 }}
+        />
+        <select
+          value={qHeader.discount_type || "pct"}
+          onChange={(e) => setQHeader({ ...qHeader, discount_type: e.target.value })}
+        >
+          <option value="pct">%</option>
+          <option value="amt">₹</option>
+        </select>
+      </span>
+    </td>
+    <td style={{ textAlign: "right" }}>
+      {pricing.overallDisc > 0 ? `− ₹${inr(pricing.overallDisc)}` : "—"}
+    </td>
+    <td></td>
+  </tr>
+
+  <tr>
+    <td colSpan={gstBreakdown ? 7 : 6} style={{ textAlign: "right", fontWeight: 700 }}>
+      Grand Total (Incl. GST):
+    </td>
+    <td style={{ textAlign: "right", fontWeight: 700 }}>₹{inr(pricing.grand)}</td>
+    <td></td>
+  </tr>
+
   {/* Excl. GST row — only when GST breakdown is ON */}
   {gstBreakdown && (
     <tr>
-      <td colSpan={6} style={{ textAlign: "right", fontWeight: 700, color: "#6b7280" }}>
+      <td colSpan={7} style={{ textAlign: "right", fontWeight: 700, color: "#6b7280" }}>
         Total (Excl. GST):
       </td>
       <td style={{ textAlign: "right", fontWeight: 700, color: "#6b7280" }}>
-        ₹{inr(
-          cartList.reduce((sum, r) => {
-            const gst = Number.isFinite(r.gst) ? r.gst : 18;
-            const excl = (r.unit || 0) / (1 + gst / 100);
-            return sum + (r.qty || 0) * excl;
-          }, 0)
-        )}
+        ₹{inr(gstSummary(pricing.lines, qHeader.customer_state, homeState).taxable)}
       </td>
       <td></td>
     </tr>
   )}
+
+  {/* Per-rate tax split for the customer's state */}
+  {gstBreakdown &&
+    gstSummary(pricing.lines, qHeader.customer_state, homeState).rates.map((b) => (
+      <tr key={b.rate}>
+        <td colSpan={7} style={{ textAlign: "right", fontSize: 13, color: "#6b7280" }}>
+          {isInterState(qHeader.customer_state, homeState)
+            ? `IGST ${b.rate}% on ₹${inr2(b.taxable)}`
+            : `CGST ${b.rate / 2}% + SGST ${b.rate / 2}% on ₹${inr2(b.taxable)}`}
+        </td>
+        <td style={{ textAlign: "right", fontSize: 13, color: "#6b7280" }}>
+          {isInterState(qHeader.customer_state, homeState)
+            ? `₹${inr2(b.igst)}`
+            : `₹${inr2(b.cgst)} + ₹${inr2(b.sgst)}`}
+        </td>
+        <td></td>
+      </tr>
+    ))}
 </tfoot>
 
 </table>
@@ -4756,34 +8430,389 @@ button.mini.primary{
 
               <div style={{ display: "flex", gap: 24 }}>
                 <div>
-                  Subtotal <b>₹{inr(cartSubtotal)}</b>
+                  Subtotal <b>₹{inr(pricing.subtotal)}</b>
                 </div>
+                {pricing.overallDisc > 0 && (
+                  <div>
+                    Discount <b>− ₹{inr(pricing.overallDisc)}</b>
+                  </div>
+                )}
                 <div>
-                  Grand Total <b>₹{inr(cartSubtotal)}</b>
+                  Grand Total <b>₹{inr(pricing.grand)}</b>
                 </div>
               </div>
             </div>
+            <div style={{ textAlign: "right", fontSize: 13, color: "#6b7280", fontStyle: "italic", marginTop: 4 }}>
+              {amountInWords(Math.round(pricing.grand))}
+            </div>
+
+            {/* Terms & Conditions: firm default, a template, or one-off edits (saved with the quote) */}
+            {firm !== "Internal" && (
+              <div style={{ marginTop: 14 }}>
+                <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 6 }}>
+                  <b style={{ fontSize: 14 }}>Terms &amp; Conditions</b>
+                  <select
+                    value=""
+                    onChange={(e) => {
+                      const t = termsTemplates.find((x) => x.id === e.target.value);
+                      if (t) setQHeader((h) => ({ ...h, terms: t.body }));
+                    }}
+                    style={{ width: "auto" }}
+                  >
+                    <option value="">Use template…</option>
+                    {termsTemplates.map((t) => (
+                      <option key={t.id} value={t.id}>
+                        {t.name}
+                      </option>
+                    ))}
+                  </select>
+                  {qHeader.terms != null && (
+                    <button
+                      type="button"
+                      className="btn"
+                      onClick={() => setQHeader((h) => ({ ...h, terms: null }))}
+                      title={`Back to ${firm}'s default terms`}
+                    >
+                      Reset to firm default
+                    </button>
+                  )}
+                  <span className="muted" style={{ fontSize: 12 }}>
+                    {qHeader.terms == null ? `${firm} default` : "Custom for this quote"}
+                  </span>
+                </div>
+                <textarea
+                  rows={4}
+                  value={quoteTerms(firms, qHeader, firm)}
+                  onChange={(e) => setQHeader((h) => ({ ...h, terms: e.target.value }))}
+                  placeholder="One condition per line"
+                  style={{ width: "100%" }}
+                />
+              </div>
+            )}
 
             {/* Buttons */}
             <div style={{ marginTop: 14, display: "flex", gap: 8 }}>
               <button
-  onClick={async () => {
-    const n = await saveQuote();
-    if (n && !qHeader.number)
-      setQHeader((h) => ({ ...h, number: n }));
-  }}
-  disabled={!String(qHeader?.number ?? "").trim()}
-  title={!String(qHeader?.number ?? "").trim() ? "Assign a quotation code first" : undefined}
+  onClick={() => saveQuote()}
+  title={
+    !online
+      ? "Offline: saves to this phone and uploads later"
+      : firm !== "Internal" && !numberMatchesFirm(firms, firm, qHeader.number)
+      ? "Saves a draft; no quotation number is used"
+      : undefined
+  }
 >
-  Save
+  {firm !== "Internal" && !numberMatchesFirm(firms, firm, qHeader.number) ? "Save Draft" : "Save"}
 </button>
+{firm !== "Internal" && !numberMatchesFirm(firms, firm, qHeader.number) && (
+  <button
+    onClick={() => saveQuote({ finalize: true })}
+    disabled={!online}
+    title={online ? `Give this quote the next ${firm} number` : "Finalize needs a connection"}
+  >
+    Finalize
+  </button>
+)}
+              <button onClick={previewPDF} disabled={previewBusy || cartList.length === 0} title="Check the layout without reserving a number or saving">
+                {previewBusy ? "Rendering…" : pdfPreview ? "Refresh Preview" : "Preview PDF"}
+              </button>
               <button onClick={exportPDFSmart}>Export / Print PDF</button>
               <button onClick={backToCatalog}>Back to Catalog</button>
             </div>
+
+            {/* Compare any two revisions of this quote: what changed in lines, prices and totals */}
+            {firm !== "Internal" && quoteRevisions.length > 1 && (
+              <details style={{ marginTop: 10 }}>
+                <summary style={{ cursor: "pointer", fontWeight: 600 }}>Compare revisions</summary>
+                {(() => {
+                  const revLabel = (id) => {
+                    const r = quoteRevisions.find((x) => x.id === id);
+                    return r ? r.number : "—";
+                  };
+                  const a = revCompare?.a || quoteRevisions[quoteRevisions.length - 2].id;
+                  const b = revCompare?.b || quoteRevisions[quoteRevisions.length - 1].id;
+                  const pick = (side) => (
+                    <select value={side === "a" ? a : b} onChange={(e) => setRevCompare({ a, b, [side]: e.target.value })}>
+                      {quoteRevisions.map((r) => (
+                        <option key={r.id} value={r.id}>
+                          {r.number}
+                        </option>
+                      ))}
+                    </select>
+                  );
+                  const d = revCompare?.diff;
+                  return (
+                    <div style={{ marginTop: 8, display: "grid", gap: 8 }}>
+                      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                        {pick("a")}
+                        <span>vs</span>
+                        {pick("b")}
+                        <button type="button" onClick={() => compareRevisions(a, b)} disabled={revCompare?.busy || a === b}>
+                          {revCompare?.busy ? "Comparing…" : "Compare"}
+                        </button>
+                      </div>
+                      {revCompare?.error && <div style={{ color: "#b91c1c", fontSize: 13 }}>{revCompare.error}</div>}
+                      {d && revCompare.a === a && revCompare.b === b && (
+                        d.fields.length + d.lines.length === 0 ? (
+                          <div style={{ fontSize: 13, color: "#666" }}>No differences.</div>
+                        ) : (
+                          <div style={{ overflowX: "auto" }}>
+                            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+                              <thead>
+                                <tr>
+                                  <th></th>
+                                  <th style={{ textAlign: "left" }}>{revLabel(a)}</th>
+                                  <th style={{ textAlign: "left" }}>{revLabel(b)}</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {[...d.lines, ...d.fields].map((x, i) => (
+                                  <tr key={i} style={{ borderTop: "1px solid #eee", verticalAlign: "top" }}>
+                                    <td style={{ fontWeight: 600 }}>{x.label}</td>
+                                    <td style={{ whiteSpace: "pre-wrap" }}>{x.a || <span style={{ color: "#999" }}>—</span>}</td>
+                                    <td style={{ whiteSpace: "pre-wrap" }}>{x.b || <span style={{ color: "#999" }}>—</span>}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        )
+                      )}
+                    </div>
+                  );
+                })()}
+              </details>
+            )}
+
+            {/* Last save failed: nothing was written, so the same save can simply be retried */}
+            {saveFailed && (
+              <div
+                style={{
+                  marginTop: 10,
+                  padding: "8px 10px",
+                  border: "1px solid #fca5a5",
+                  background: "#fef2f2",
+                  color: "#991b1b",
+                  borderRadius: 8,
+                  display: "flex",
+                  alignItems: "center",
+                  gap: 8,
+                }}
+              >
+                <span style={{ flex: 1 }}>
+                  Not saved — {saveFailed.message}. Your changes are still here.
+                </span>
+                <button onClick={() => saveQuote({ finalize: saveFailed.finalize })}>Retry</button>
+                <button onClick={() => setSaveFailed(null)}>Dismiss</button>
+              </div>
+            )}
+
+            {/* PDF preview pane: same PDF with a PREVIEW watermark; nothing reserved or saved */}
+            {pdfPreview && (
+              <div style={{ marginTop: 14, border: "1px solid #e5e7eb", borderRadius: 8, overflow: "hidden" }}>
+                <div
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    justifyContent: "space-between",
+                    padding: "6px 10px",
+                    background: "#f9fafb",
+                    borderBottom: "1px solid #e5e7eb",
+                    fontSize: 13,
+                  }}
+                >
+                  <span>Preview — not saved, no quotation number used</span>
+                  <span style={{ display: "flex", gap: 8 }}>
+                    <a href={pdfPreview.url} target="_blank" rel="noopener noreferrer">
+                      Open in new tab
+                    </a>
+                    <button type="button" onClick={closePreview}>
+                      Close
+                    </button>
+                  </span>
+                </div>
+                <iframe title="PDF preview" src={pdfPreview.url} style={{ width: "100%", height: "80vh", border: 0 }} />
+              </div>
+            )}
           </div>
         </div>
       )}
 
+{/* ===== CUSTOMER PROFILE ===== */}
+{page === "customer" && (
+  <div style={{ maxWidth: "min(1100px, 92vw)", margin: "12px auto 48px" }}>
+    <button type="button" className="btn" onClick={() => setPage("savedDetailed")} style={{ marginBottom: 12 }}>
+      ← Saved Quotations
+    </button>
+
+    {!customerProfile ? (
+      <p style={{ textAlign: "center" }}>Loading…</p>
+    ) : customerProfile.missing || customerProfile.error ? (
+      <div className="paper section" style={{ textAlign: "center" }}>
+        <p style={{ margin: 0 }}>
+          {customerProfile.missing ? "This customer no longer exists." : `Could not load: ${customerProfile.error}`}
+        </p>
+      </div>
+    ) : (() => {
+      const c = customerProfile.customer;
+      const quotes = customerProfile.quotes;
+      const finals = quotes.filter((q) => !isDraftNumber(q.number));
+      const isSanc = (q) => (q.sanctioned_status || "") === "sanctioned";
+      const won = finals.filter((q) => isSanc(q) || q.delivered_on != null);
+      const business = won.reduce(
+        (a, q) => a + Number(q.sanctioned_mode === "partial" ? q.sanctioned_amount || 0 : q.total || 0),
+        0
+      );
+      const sum = (k) => finals.reduce((a, q) => a + Number(q[k] || 0), 0);
+      // last contact: newest quote, sanction or delivery
+      const lastContact = quotes
+        .flatMap((q) => [q.created_at, q.sanctioned_date, q.delivered_on])
+        .filter(Boolean)
+        .map((d) => new Date(d))
+        .sort((a, b) => b - a)[0];
+      const stat = (label, value) => (
+        <div style={{ border: "1px solid #e5e7eb", borderRadius: 10, padding: "8px 12px", minWidth: 140 }}>
+          <div style={{ fontSize: 12, color: "#666" }}>{label}</div>
+          <div style={{ fontWeight: 700, fontSize: 18 }}>{value}</div>
+        </div>
+      );
+      const field = (key, label, props = {}) => (
+        <label>
+          <div style={{ fontSize: 12, color: "#666" }}>{label}</div>
+          <input
+            value={customerForm[key] || ""}
+            onChange={(e) => setCustomerForm((f) => ({ ...f, [key]: e.target.value }))}
+            {...props}
+          />
+        </label>
+      );
+
+      return (
+        <>
+          <div className="paper section" style={{ display: "grid", gap: 12 }}>
+            {customerForm ? (
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))", gap: 8 }}>
+                {field("name", "Name")}
+                {field("phone", "Phone", { type: "tel", inputMode: "numeric" })}
+                {field("address", "Address")}
+                {field("village", "Village")}
+                {field("district", "District")}
+                {field("gstin", "GSTIN", { maxLength: 15, style: { textTransform: "uppercase" } })}
+                <label style={{ gridColumn: "1 / -1" }}>
+                  <div style={{ fontSize: 12, color: "#666" }}>Notes</div>
+                  <textarea
+                    rows={3}
+                    value={customerForm.notes || ""}
+                    onChange={(e) => setCustomerForm((f) => ({ ...f, notes: e.target.value }))}
+                    style={{ width: "100%" }}
+                  />
+                </label>
+                <div style={{ gridColumn: "1 / -1", display: "flex", gap: 8, justifyContent: "flex-end" }}>
+                  <button type="button" className="btn" onClick={() => setCustomerForm(null)} disabled={customerBusy}>
+                    Cancel
+                  </button>
+                  <button type="button" className="btn primary" onClick={saveCustomer} disabled={customerBusy}>
+                    {customerBusy ? "Saving…" : "Save"}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div style={{ display: "flex", gap: 12, alignItems: "flex-start", flexWrap: "wrap" }}>
+                <div style={{ flex: 1, minWidth: 240 }}>
+                  <h2 style={{ margin: "0 0 4px" }}>{c.name}</h2>
+                  <div style={{ color: "#555", fontSize: 14, display: "grid", gap: 2 }}>
+                    {c.phone && (
+                      <a href={`tel:${c.phone.replace(/[^0-9+]/g, "")}`} style={{ color: "inherit" }}>
+                        {c.phone}
+                      </a>
+                    )}
+                    {[c.address, c.village, c.district, c.state].filter(Boolean).join(", ") && (
+                      <div>{[c.address, c.village, c.district, c.state].filter(Boolean).join(", ")}</div>
+                    )}
+                    {c.gstin && <div>GSTIN: {c.gstin}</div>}
+                    {c.notes && <div style={{ whiteSpace: "pre-wrap", marginTop: 4 }}>{c.notes}</div>}
+                  </div>
+                </div>
+                <button type="button" className="btn" onClick={() => setCustomerForm({ ...c })}>
+                  ✏️ Edit details
+                </button>
+              </div>
+            )}
+
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+              {stat("Quotes", finals.length + (quotes.length > finals.length ? ` + ${quotes.length - finals.length} draft` : ""))}
+              {stat("Quoted value", `₹${inr(sum("total"))}`)}
+              {stat("Total business", `₹${inr(business)}`)}
+              {stat("CSM / RTNAD", `₹${inr(sum("csm_amount"))} / ₹${inr(sum("rtnad_amount"))}`)}
+              {stat("Last contact", lastContact ? fmtDate(lastContact) : "—")}
+            </div>
+          </div>
+
+          <div className="paper section" style={{ marginTop: 12, overflowX: "auto" }}>
+            {quotes.length === 0 ? (
+              <p style={{ margin: 0, color: "#666" }}>No quotes for this customer yet.</p>
+            ) : (
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+                <thead>
+                  <tr>
+                    <th style={{ textAlign: "left", padding: 8 }}>Date</th>
+                    <th style={{ textAlign: "left", padding: 8 }}>Firm</th>
+                    <th style={{ textAlign: "left", padding: 8 }}>Number</th>
+                    <th style={{ textAlign: "right", padding: 8 }}>Total</th>
+                    <th style={{ textAlign: "left", padding: 8 }}>Status</th>
+                    <th style={{ textAlign: "right", padding: 8 }}>CSM</th>
+                    <th style={{ textAlign: "right", padding: 8 }}>RTNAD</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {quotes.map((q) => (
+                    <tr key={q.id} style={{ borderTop: "1px solid #eee" }}>
+                      <td style={{ padding: 8 }}>{fmtDate(q.created_at)}</td>
+                      <td style={{ padding: 8 }}>{quoteFirmOf(firms, q) || q.firm || "—"}</td>
+                      <td style={{ padding: 8, fontWeight: 600 }}>
+                        {isDraftNumber(q.number) ? (
+                          <span className="badge">Draft</span>
+                        ) : quoteFirmOf(firms, q) === "Internal" ? (
+                          "—"
+                        ) : (
+                          q.number
+                        )}
+                      </td>
+                      <td style={{ padding: 8, textAlign: "right" }}>₹{inr(q.total)}</td>
+                      <td style={{ padding: 8 }}>
+                        {q.delivered_on != null ? (
+                          <span className="badge">Delivered{q.delivered_on ? ` • ${fmtDate(q.delivered_on)}` : ""}</span>
+                        ) : isSanc(q) ? (
+                          <span className="badge">
+                            Sanctioned • {fmtDate(q.sanctioned_date)}
+                            {q.sanctioned_mode === "partial" ? ` • ₹${inr(q.sanctioned_amount || 0)}` : ""}
+                          </span>
+                        ) : isDraftNumber(q.number) ? (
+                          "Draft"
+                        ) : (
+                          "Quoted"
+                        )}
+                      </td>
+                      <td style={{ padding: 8, textAlign: "right" }}>{q.csm_amount == null ? "—" : `₹${inr(q.csm_amount)}`}</td>
+                      <td style={{ padding: 8, textAlign: "right" }}>{q.rtnad_amount == null ? "—" : `₹${inr(q.rtnad_amount)}`}</td>
+                      <td style={{ padding: 8, textAlign: "right" }}>
+                        <button type="button" className="btn" onClick={() => editSaved(q.number)}>
+                          Open
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      );
+    })()}
+  </div>
+)}
+
 {/* PAGE: SAVED DETAILED */}
 {page === "savedDetailed" && (
   <div
@@ -4920,10 +8949,9 @@ button.mini.primary{
   <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
     {[
       { label: "All", value: "All" },
-      { label: "HVF Agency", value: "HVF Agency" },
-      { label: "Victor Engineering", value: "Victor Engineering" },
-      { label: "Mahabir Hardware Stores", value: "Mahabir Hardware Stores" },
+      ...firms.map((f) => ({ label: f.name, value: f.name })),
       { label: "Internal", value: "Internal" },
+      { label: "Drafts", value: "Drafts" },
     ].map((opt) => {
       const disabledInSanctioned =
         savedView === "sanctioned" && opt.value !== "HVF Agency";
@@ -5081,7 +9109,7 @@ if (savedView === "sanctioned" && deliveredIds.includes(q.id)) return null;
 /* Keep showing delivered rows in All/HVF lists (we only hide inside Sanctioned view above). */
 // (no-op)
 
-            const firmName = inferFirmFromNumber(q.number) || "—";
+            const firmName = quoteFirmOf(firms, q) || "—";
 const names = (q.quote_items || [])
   .map((r) => r?.name || "")
   .filter(Boolean);
@@ -5102,7 +9130,7 @@ try {
 
 
 // --- Sanctioned helpers (single source of truth) ---
-const isHVFRow     = inferFirmFromNumber(q.number) === "HVF Agency";
+const isHVFRow     = inferFirmFromNumber(firms, q.number) === "HVF Agency";
 const isHVFFilter  = savedFirmFilter === "HVF Agency";
 const isSanctioned = (q.sanctioned_status || "") === "sanctioned";
 
@@ -5175,10 +9203,38 @@ const sancAmount = isSanctioned
   <td style={{ padding: 10 }}>{firmName}</td>
 )}
 <td style={{ padding: 10, fontWeight: 600 }}>
-  {inferFirmFromNumber(q.number) === "Internal" ? "—" : q.number}
+  {isDraftNumber(q.number) ? (
+    <span className="badge">Draft</span>
+  ) : inferFirmFromNumber(firms, q.number) === "Internal" ? (
+    "—"
+  ) : (
+    q.number
+  )}
 </td>
                 <td style={{ padding: 10 }}>{dateStr}</td>
-                <td style={{ padding: 10 }}>{q.customer_name || "—"}</td>
+                <td style={{ padding: 10 }}>
+                  {q.customer_id ? (
+                    <button
+                      type="button"
+                      onClick={() => openCustomer(q.customer_id)}
+                      title="All quotes for this customer"
+                      style={{
+                        padding: 0,
+                        border: 0,
+                        background: "none",
+                        color: "inherit",
+                        textDecoration: "underline",
+                        cursor: "pointer",
+                        font: "inherit",
+                        textAlign: "left",
+                      }}
+                    >
+                      {q.customer_name || "—"}
+                    </button>
+                  ) : (
+                    q.customer_name || "—"
+                  )}
+                </td>
                 <td style={{ padding: 10 }}>{q.address || "—"}</td>
                 <td style={{ padding: 10 }}>
                   {q.phone ? (
@@ -5317,6 +9373,20 @@ const sancAmount = isSanctioned
         PDF
       </button>
 
+      <button
+        onClick={() => openClone(q)}
+        style={{
+          padding: "4px 8px",
+          borderRadius: 6,
+          border: "1px solid #e5e7eb",
+          background: "#fff",
+          cursor: "pointer",
+        }}
+        title="Start a new quote with the same items"
+      >
+        Clone
+      </button>
+
       <button
 onClick={() => {
   recycleAdd(q);      // ✅ Step 1: Add quotation to Recycle Bin
@@ -5520,6 +9590,15 @@ colSpan={savedView === "sanctioned" ? 12 : 9}
               await exportPDF();
             },
           },
+          {
+            key: "clone",
+            label: "Clone",
+            onClick: () => {
+              const row = tableData.find(r => r.id === rowMenuId);
+              setRowMenuId(null);
+              if (row) openClone(row);
+            },
+          },
           {
             key: "remove",
             label: "Remove",
@@ -6074,6 +10153,402 @@ delivered_date: (() => {
 })()}
 
 
+{/* ===== SAVE CONFLICT (quote saved on another device since it was opened) ===== */}
+{saveConflict && (
+  <div
+    style={{
+      position: "fixed",
+      inset: 0,
+      background: "rgba(0,0,0,0.35)",
+      zIndex: 60,
+      display: "flex",
+      alignItems: "center",
+      justifyContent: "center",
+      padding: 16,
+    }}
+  >
+    <div className="paper" role="dialog" aria-label="Save conflict" style={{ width: "min(640px, 96vw)" }}>
+      <div className="section" style={{ borderBottom: "1px solid #eee", fontWeight: 700 }}>
+        Changed on another device
+      </div>
+      <div className="section" style={{ display: "grid", gap: 10 }}>
+        <div style={{ fontSize: 13, color: "#444" }}>
+          {isDraftNumber(saveConflict.theirs.header.number) ? "This draft" : saveConflict.theirs.header.number} was
+          saved elsewhere after you opened it. Nothing of yours has been saved yet.
+        </div>
+        <div style={{ maxHeight: "50vh", overflowY: "auto" }}>
+          {saveConflict.diff.fields.length + saveConflict.diff.lines.length === 0 ? (
+            <div style={{ fontSize: 13, color: "#666" }}>Both versions have the same details and lines.</div>
+          ) : (
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+              <thead>
+                <tr>
+                  <th></th>
+                  <th style={{ textAlign: "left" }}>Yours</th>
+                  <th style={{ textAlign: "left" }}>Other device</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...saveConflict.diff.fields, ...saveConflict.diff.lines].map((d, i) => (
+                  <tr key={i} style={{ borderTop: "1px solid #eee", verticalAlign: "top" }}>
+                    <td style={{ fontWeight: 600 }}>{d.label}</td>
+                    <td style={{ whiteSpace: "pre-wrap" }}>{d.a || <span style={{ color: "#999" }}>—</span>}</td>
+                    <td style={{ whiteSpace: "pre-wrap" }}>{d.b || <span style={{ color: "#999" }}>—</span>}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", flexWrap: "wrap" }}>
+          <button type="button" className="btn" onClick={() => setSaveConflict(null)}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="btn"
+            title="Discard your changes and open the other device's version"
+            onClick={() => {
+              const number = saveConflict.theirs.header.number;
+              setSaveConflict(null);
+              editSaved(number);
+            }}
+          >
+            Reload theirs
+          </button>
+          {firm !== "Internal" &&
+            (saveConflict.theirs.header.status === "final" ? (
+              <button
+                type="button"
+                className="btn"
+                title="Keep their version as issued and save yours as its next revision"
+                onClick={() => saveQuote({ finalize: saveConflict.finalize, asRevision: true })}
+              >
+                Save mine as new revision
+              </button>
+            ) : (
+              <button
+                type="button"
+                className="btn"
+                title="Keep their version and save yours separately as a new draft"
+                onClick={() => saveQuote({ asNewDraft: true })}
+              >
+                Save mine as new draft
+              </button>
+            ))}
+          {/* a newer revision stays as issued: only "Save mine as new revision" applies */}
+          {saveConflict.theirs.header.id === editingQuoteId && (
+            <button
+              type="button"
+              className="btn primary"
+              title="Replace the other device's version with yours"
+              onClick={() =>
+                saveQuote({
+                  finalize: saveConflict.finalize,
+                  expectedVersion: saveConflict.theirs.header.version,
+                })
+              }
+            >
+              Overwrite with mine
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  </div>
+)}
+
+{/* ===== CLONE QUOTE ===== */}
+{cloneSrc && (
+  <div
+    style={{
+      position: "fixed",
+      inset: 0,
+      background: "rgba(0,0,0,0.35)",
+      zIndex: 60,
+      display: "flex",
+      alignItems: "center",
+      justifyContent: "center",
+      padding: 16,
+    }}
+    onClick={(e) => {
+      if (e.target === e.currentTarget && !cloneBusy) setCloneSrc(null);
+    }}
+  >
+    <div className="paper" role="dialog" aria-label="Clone quote" style={{ width: "min(420px, 94vw)" }}>
+      <div className="section" style={{ borderBottom: "1px solid #eee", fontWeight: 700 }}>
+        Clone {isDraftNumber(cloneSrc.number) ? "draft" : cloneSrc.number}
+      </div>
+      <div className="section" style={{ display: "grid", gap: 10 }}>
+        <div style={{ fontSize: 13, color: "#666" }}>
+          Opens a new quote with the same items, prices and discounts. It gets its own number when
+          finalized; the original is not changed.
+        </div>
+        <label>
+          <div style={{ fontSize: 12, color: "#666" }}>Firm</div>
+          <select
+            value={cloneOpts.firm}
+            onChange={(e) => setCloneOpts((o) => ({ ...o, firm: e.target.value }))}
+          >
+            {activeFirms.map((f) => (
+              <option key={f.name}>{f.name}</option>
+            ))}
+            <option>Internal</option>
+          </select>
+        </label>
+        <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          <input
+            type="checkbox"
+            checked={cloneOpts.withCustomer}
+            onChange={(e) => setCloneOpts((o) => ({ ...o, withCustomer: e.target.checked }))}
+            style={{ width: "auto" }}
+          />
+          Also copy the customer ({cloneSrc.customer_name || "no name"})
+        </label>
+        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+          <button type="button" className="btn" onClick={() => setCloneSrc(null)} disabled={cloneBusy}>
+            Cancel
+          </button>
+          <button type="button" className="btn primary" onClick={cloneQuote} disabled={cloneBusy}>
+            {cloneBusy ? "Copying…" : "Clone"}
+          </button>
+        </div>
+      </div>
+    </div>
+  </div>
+)}
+
+{/* ===== BROCHURE OPTIONS ===== */}
+{brochureOpen && (
+  <div
+    style={{
+      position: "fixed",
+      inset: 0,
+      background: "rgba(0,0,0,0.35)",
+      zIndex: 60,
+      display: "flex",
+      alignItems: "center",
+      justifyContent: "center",
+      padding: 16,
+    }}
+    onClick={(e) => {
+      if (e.target === e.currentTarget && !brochureBusy) setBrochureOpen(false);
+    }}
+  >
+    <div className="paper" role="dialog" aria-label="Brochure PDF" style={{ width: "min(420px, 94vw)" }}>
+      <div className="section" style={{ borderBottom: "1px solid #eee", fontWeight: 700 }}>
+        Brochure PDF
+      </div>
+      <div className="section" style={{ display: "grid", gap: 10 }}>
+        <label>
+          <div style={{ fontSize: 12, color: "#666" }}>Letterhead</div>
+          <select
+            value={brochureOpts.firm}
+            onChange={(e) => setBrochureOpts((o) => ({ ...o, firm: e.target.value }))}
+          >
+            {activeFirms.map((f) => (
+              <option key={f.name}>{f.name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <div style={{ fontSize: 12, color: "#666" }}>Products</div>
+          <select
+            value={brochureOpts.scope}
+            onChange={(e) => setBrochureOpts((o) => ({ ...o, scope: e.target.value }))}
+          >
+            {category !== "All" && <option value="category">Only {category}</option>}
+            <option value="all">Full catalogue (all categories)</option>
+          </select>
+        </label>
+        {(staffMode || isAdmin) && (
+          <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <input
+              type="checkbox"
+              checked={brochureOpts.withSell}
+              onChange={(e) => setBrochureOpts((o) => ({ ...o, withSell: e.target.checked }))}
+              style={{ width: "auto" }}
+            />
+            Staff copy (print sell prices)
+          </label>
+        )}
+        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+          <button type="button" className="btn" onClick={() => setBrochureOpen(false)} disabled={brochureBusy}>
+            Cancel
+          </button>
+          <button type="button" className="btn primary" onClick={exportBrochure} disabled={brochureBusy}>
+            {brochureBusy ? "Preparing…" : "Create PDF"}
+          </button>
+        </div>
+      </div>
+    </div>
+  </div>
+)}
+
+{/* ===== PHOTO GALLERY (tap a card photo; swipe / arrows to browse) ===== */}
+{gallery && (
+  <div
+    style={{
+      position: "fixed",
+      inset: 0,
+      background: "rgba(0,0,0,0.85)",
+      zIndex: 70,
+      display: "flex",
+      flexDirection: "column",
+      alignItems: "center",
+      justifyContent: "center",
+      padding: 16,
+    }}
+    onClick={(e) => {
+      if (e.target === e.currentTarget) setGallery(null);
+    }}
+    onTouchStart={(e) => {
+      galleryTouchX.current = e.touches[0].clientX;
+    }}
+    onTouchEnd={(e) => {
+      const start = galleryTouchX.current;
+      galleryTouchX.current = null;
+      if (start == null) return;
+      const dx = e.changedTouches[0].clientX - start;
+      if (Math.abs(dx) > 40) stepGallery(dx < 0 ? 1 : -1);
+    }}
+    role="dialog"
+    aria-label={`${gallery.name} photos`}
+  >
+    <div style={{ color: "#fff", marginBottom: 10, display: "flex", gap: 12, alignItems: "center", width: "min(900px, 94vw)" }}>
+      <div style={{ fontWeight: 700, flex: 1, minWidth: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+        {gallery.name}
+      </div>
+      {gallery.images.length > 1 && (
+        <span style={{ fontSize: 13 }}>
+          {gallery.index + 1} / {gallery.images.length}
+        </span>
+      )}
+      <button type="button" className="btn" onClick={() => setGallery(null)}>
+        Close
+      </button>
+    </div>
+
+    <div style={{ position: "relative", width: "min(900px, 94vw)", height: "min(70vh, 640px)", display: "flex", alignItems: "center", justifyContent: "center" }}>
+      <img
+        key={gallery.images[gallery.index].url}
+        src={gallery.images[gallery.index].url}
+        alt={gallery.name}
+        style={{ maxWidth: "100%", maxHeight: "100%", objectFit: "contain", background: "#fff", borderRadius: 8 }}
+      />
+      {gallery.images.length > 1 && (
+        <>
+          <button
+            type="button"
+            className="btn"
+            onClick={() => stepGallery(-1)}
+            aria-label="Previous photo"
+            style={{ position: "absolute", left: 4, top: "50%", transform: "translateY(-50%)" }}
+          >
+            ‹
+          </button>
+          <button
+            type="button"
+            className="btn"
+            onClick={() => stepGallery(1)}
+            aria-label="Next photo"
+            style={{ position: "absolute", right: 4, top: "50%", transform: "translateY(-50%)" }}
+          >
+            ›
+          </button>
+        </>
+      )}
+    </div>
+
+    {gallery.images.length > 1 && (
+      <div style={{ display: "flex", gap: 6, marginTop: 10, overflowX: "auto", maxWidth: "94vw" }}>
+        {gallery.images.map((img, i) => (
+          <img
+            key={img.url}
+            src={img.thumb || img.url}
+            alt=""
+            onClick={() => setGallery((g) => ({ ...g, index: i }))}
+            style={{
+              width: 56,
+              height: 42,
+              objectFit: "cover",
+              borderRadius: 4,
+              cursor: "pointer",
+              background: "#fff",
+              outline: i === gallery.index ? "2px solid #fff" : "none",
+              opacity: i === gallery.index ? 1 : 0.6,
+            }}
+          />
+        ))}
+      </div>
+    )}
+  </div>
+)}
+
+{/* ===== VARIANT PICKER (catalog stepper for machines with variants) ===== */}
+{variantPick && (
+  <div
+    style={{
+      position: "fixed",
+      inset: 0,
+      background: "rgba(0,0,0,0.35)",
+      zIndex: 60,
+      display: "flex",
+      alignItems: "center",
+      justifyContent: "center",
+      padding: 16,
+    }}
+    onClick={(e) => {
+      if (e.target === e.currentTarget) setVariantPick(null);
+    }}
+  >
+    <div className="paper" role="dialog" aria-label="Choose variant" style={{ width: "min(520px, 94vw)" }}>
+      <div className="section" style={{ borderBottom: "1px solid #eee", display: "flex", alignItems: "center" }}>
+        <div>
+          <div style={{ fontWeight: 700 }}>{variantPick.name}</div>
+          <div className="muted" style={{ fontSize: 12 }}>Choose a variant to add to the quote</div>
+        </div>
+        <button type="button" className="btn" onClick={() => setVariantPick(null)} style={{ marginLeft: "auto" }}>
+          Done
+        </button>
+      </div>
+      <div className="section" style={{ display: "grid", gap: 10 }}>
+        {variantPick.variants.map((v) => {
+          const qty = cart[cartKey(variantPick, v)]?.qty || 0;
+          return (
+            <div key={v.id} style={{ display: "flex", alignItems: "center", gap: 12 }}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontWeight: 700 }}>{v.label}</div>
+                {v.specs && <div className="muted" style={{ fontSize: 12 }}>{v.specs}</div>}
+                <div style={{ fontSize: 13 }}>
+                  ₹{inr(v.mrp)}
+                  {(staffMode || isAdmin) && v.sell_price != null && (
+                    <span style={{ color: "#d32f2f", marginLeft: 8 }}>₹{inr(v.sell_price)}</span>
+                  )}
+                  {isAdmin && v.cost_price != null && (
+                    <span style={{ color: "#d4a106", marginLeft: 8 }}>₹{inr(v.cost_price)}</span>
+                  )}
+                </div>
+              </div>
+              {qty > 0 ? (
+                <div className="qtywrap" role="group" aria-label={`${v.label} quantity`} style={{ width: 160 }}>
+                  <button className="op" onClick={() => dec(variantPick, v)} aria-label="Decrease">−</button>
+                  <div className="num">{qty}</div>
+                  <button className="op" onClick={() => inc(variantPick, v)} aria-label="Increase">+</button>
+                </div>
+              ) : (
+                <button className="addbtn" onClick={() => inc(variantPick, v)} style={{ width: 160 }}>
+                  Add
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  </div>
+)}
+
 {/* ===== DELIVER DIALOG (large) ===== */}
 {deliverPop?.open && (
   <div
@@ -6583,8 +11058,117 @@ delivered_date: (() => {
       Saved Quotes
     </button>
   )}
+
+  {outbox.length > 0 && (
+    <button
+      onClick={() => setOutboxOpen(true)}
+      className={`btn ${outbox.some((o) => o.error) ? "danger" : ""}`}
+      title="Quotes saved offline, waiting to upload"
+    >
+      📤 Outbox ({outbox.length})
+    </button>
+  )}
 </div>
 
+{/* Offline banner */}
+{!online && (
+  <div
+    style={{
+      position: "fixed",
+      top: 0,
+      left: 0,
+      right: 0,
+      zIndex: 30,
+      background: "#fff4e5",
+      borderBottom: "1px solid #f5c77e",
+      color: "#8a5300",
+      textAlign: "center",
+      fontSize: 13,
+      padding: "4px 8px",
+    }}
+  >
+    Offline — catalog from this phone; saved quotes go to the outbox and upload when the signal returns.
+  </div>
+)}
+
+{/* ===== OUTBOX (quotes saved offline) ===== */}
+{outboxOpen && (
+  <div
+    style={{
+      position: "fixed",
+      inset: 0,
+      background: "rgba(0,0,0,0.35)",
+      zIndex: 60,
+      display: "flex",
+      alignItems: "center",
+      justifyContent: "center",
+      padding: 16,
+    }}
+    onClick={(e) => {
+      if (e.target === e.currentTarget) setOutboxOpen(false);
+    }}
+  >
+    <div className="paper" role="dialog" aria-label="Outbox" style={{ width: "min(640px, 94vw)", maxHeight: "86vh", overflow: "auto" }}>
+      <div className="section" style={{ borderBottom: "1px solid #eee", display: "flex", alignItems: "center", gap: 8 }}>
+        <div>
+          <div style={{ fontWeight: 700 }}>Outbox</div>
+          <div className="muted" style={{ fontSize: 12 }}>
+            Quotes saved offline. Numbers are given when they upload.
+          </div>
+        </div>
+        <button
+          type="button"
+          className="btn primary"
+          onClick={syncOutbox}
+          disabled={!online || syncing || outbox.length === 0}
+          style={{ marginLeft: "auto" }}
+        >
+          {syncing ? "Uploading…" : "Upload now"}
+        </button>
+        <button type="button" className="btn" onClick={() => setOutboxOpen(false)}>
+          Close
+        </button>
+      </div>
+      <div className="section" style={{ display: "grid", gap: 10 }}>
+        {outbox.length === 0 && <div className="muted">Nothing waiting to upload.</div>}
+        {outbox.map((o) => (
+          <div
+            key={o.id}
+            style={{
+              border: `1px solid ${o.error ? "#f3d1d1" : "#eee"}`,
+              background: o.error ? "#fff5f5" : "#fff",
+              borderRadius: 8,
+              padding: 10,
+            }}
+          >
+            <div style={{ display: "flex", gap: 8, alignItems: "baseline", flexWrap: "wrap" }}>
+              <b>{o.qHeader?.customer_name || "(no customer name)"}</b>
+              <span className="muted" style={{ fontSize: 12 }}>
+                {o.firm} • {o.number || "number on upload"} • ₹{inr(o.total)} •{" "}
+                {new Date(o.queuedAt).toLocaleString("en-IN")}
+              </span>
+            </div>
+            {o.error && (
+              <div style={{ color: "#b11e1e", fontSize: 13, marginTop: 4 }}>
+                {o.conflict ? "Conflict: " : "Upload failed: "}
+                {o.error}
+              </div>
+            )}
+            <div style={{ display: "flex", gap: 6, marginTop: 8 }}>
+              <button type="button" className="btn" onClick={() => openOutboxItem(o)}>
+                Open in editor
+              </button>
+              <button type="button" className="btn danger" onClick={() => discardOutboxItem(o)}>
+                Discard
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  </div>
+)}
+
 {/* FLOATING bottom-left: Recycle Bin (only on Saved Detailed View) */}
 {page === "savedDetailed" && Array.isArray(tableData) && (
   <div
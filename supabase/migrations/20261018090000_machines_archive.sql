@@ -0,0 +1,11 @@
+-- Soft-archive for catalog machines + link quote lines back to the machine they came from.
+-- Archived machines are hidden from the catalog but keep their row, so old quote_items
+-- (machine_id) still resolve. Hard delete is refused by the app while any line references it.
+
+alter table public.machines
+  add column if not exists archived boolean not null default false;
+
+alter table public.quote_items
+  add column if not exists machine_id uuid references public.machines(id) on delete set null;
+
+create index if not exists quote_items_machine_id_idx on public.quote_items (machine_id);
@@ -0,0 +1,7 @@
+-- Manufacturer model code, used to match rows during bulk CSV/XLSX import.
+alter table public.machines
+  add column if not exists model_code text;
+
+create unique index if not exists machines_model_code_key
+  on public.machines (lower(model_code))
+  where model_code is not null;
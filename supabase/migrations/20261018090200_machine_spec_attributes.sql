@@ -0,0 +1,12 @@
+-- Typed spec attributes (hp, phase, voltage, capacity, weight) per machine,
+-- which attributes apply per category, and a snapshot on each quote line for reprints.
+alter table public.machines
+  add column if not exists attributes jsonb;
+
+alter table public.categories
+  add column if not exists spec_keys text[];
+
+alter table public.quote_items
+  add column if not exists attributes jsonb;
+
+create index if not exists machines_attributes_gin on public.machines using gin (attributes);
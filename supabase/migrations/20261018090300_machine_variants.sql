@@ -0,0 +1,30 @@
+-- Variants of one catalog machine (e.g. 5 / 7.5 / 10 HP, single / three phase),
+-- each with its own prices and specs. Quote lines keep the variant label as a snapshot.
+create table if not exists public.machine_variants (
+  id uuid primary key default gen_random_uuid(),
+  machine_id uuid not null references public.machines(id) on delete cascade,
+  label text not null,
+  mrp numeric not null,
+  sell_price numeric,
+  cost_price numeric,
+  specs text not null default '',
+  attributes jsonb,
+  sort integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists machine_variants_machine_id_idx on public.machine_variants (machine_id);
+
+alter table public.machine_variants enable row level security;
+
+create policy "machine_variants readable by everyone"
+  on public.machine_variants for select using (true);
+
+create policy "machine_variants writable by admins"
+  on public.machine_variants for all
+  using (exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.is_admin))
+  with check (exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.is_admin));
+
+alter table public.quote_items
+  add column if not exists variant_id uuid references public.machine_variants(id) on delete set null,
+  add column if not exists variant_label text;
@@ -0,0 +1,9 @@
+-- Several photos per machine: images = [{ "url": ..., "thumb": ... }], first one is the cover.
+-- image_url / thumb_url mirror the cover so older readers keep working.
+alter table public.machines
+  add column if not exists images jsonb not null default '[]'::jsonb,
+  add column if not exists thumb_url text;
+
+update public.machines
+set images = jsonb_build_array(jsonb_build_object('url', image_url, 'thumb', image_url))
+where image_url is not null and images = '[]'::jsonb;
@@ -0,0 +1,3 @@
+-- Accessories shown on a machine's detail page (/machine/:id), picked by admins.
+alter table public.machines
+  add column if not exists accessory_ids uuid[] not null default '{}';
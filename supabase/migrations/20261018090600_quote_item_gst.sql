@@ -0,0 +1,10 @@
+-- Per-line GST so a saved quote reopens / reprints with the same breakdown.
+-- Prices (mrp) stay GST-inclusive; taxable_value + tax_amount = qty * mrp.
+alter table public.quote_items
+  add column if not exists gst_rate numeric(5,2) not null default 18,
+  add column if not exists taxable_value numeric(14,2),
+  add column if not exists tax_amount numeric(14,2);
+
+-- Whether the quote was printed with the GST table
+alter table public.quotes
+  add column if not exists gst_breakdown boolean;
@@ -0,0 +1,8 @@
+-- Place of supply decides the tax split: Assam (our state) -> CGST + SGST, elsewhere -> IGST.
+alter table public.quotes
+  add column if not exists customer_state text not null default 'Assam';
+
+alter table public.quote_items
+  add column if not exists cgst_amount numeric(14,2) not null default 0,
+  add column if not exists sgst_amount numeric(14,2) not null default 0,
+  add column if not exists igst_amount numeric(14,2) not null default 0;
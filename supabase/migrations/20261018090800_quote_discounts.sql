@@ -0,0 +1,11 @@
+-- Line discounts keep the MRP visible; the overall discount applies to the subtotal.
+-- discount_type is 'pct' (percent) or 'amt' (rupees; per unit on a line).
+alter table public.quote_items
+  add column if not exists discount_type text not null default 'pct',
+  add column if not exists discount_value numeric not null default 0,
+  add column if not exists net_price numeric(14,2);
+
+alter table public.quotes
+  add column if not exists discount_type text not null default 'pct',
+  add column if not exists discount_value numeric not null default 0,
+  add column if not exists discount_amount numeric(14,2) not null default 0;
@@ -0,0 +1,125 @@
+-- Quoting firms as data: letterhead, GSTIN, bank, terms, numbering and PDF layout.
+-- "Internal" is not a firm row: internal quotes are never numbered and have no letterhead.
+create table if not exists public.firms (
+  name text primary key,
+  address text not null default '',
+  gstin text not null default '',
+  phone text not null default '',
+  bank_lines text[] not null default '{}',
+  logo_url text,
+  terms text[] not null default '{}',
+  doc_title text not null default 'QUOTATION',
+  -- quote numbers are number_prefix + counter, zero-padded to number_digits (0 = no padding)
+  number_prefix text not null unique,
+  number_digits integer not null default 3,
+  last_number integer not null default 0,
+  -- PDF header / table style: 'hvf' (logo, helvetica) | 'victor' (framed, times) | 'mahabir' (courier)
+  layout text not null default 'hvf' check (layout in ('hvf', 'victor', 'mahabir')),
+  sort_order integer not null default 0,
+  active boolean not null default true,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.firms enable row level security;
+
+create policy "firms readable by everyone"
+  on public.firms for select using (true);
+
+create policy "firms writable by admins"
+  on public.firms for all
+  using (exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.is_admin))
+  with check (exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.is_admin));
+
+insert into public.firms
+  (name, address, gstin, phone, bank_lines, logo_url, terms, doc_title, number_prefix, number_digits, layout, sort_order)
+values
+  (
+    'HVF Agency', 'Moranhat, Assam', '18AFCPC4260P1ZB', '9957239143 / 9954425780',
+    array['HVF AGENCY', 'ICICI BANK (Moran Branch)', 'A/C No - 199505500412', 'IFSC Code - ICIC0001995'],
+    '/hvf-logo.png',
+    array[
+      'This quotation is valid for six month from the date of issue.',
+      'Delivery is subject to stock availability and may take up to 2 weeks.',
+      'Goods once sold are non-returnable and non-exchangeable.'
+    ],
+    'QUOTATION', 'APP/H', 3, 'hvf', 1
+  ),
+  (
+    'Victor Engineering', '', '18BCYCP9744A1ZA', '',
+    array['M/S VICTOR ENGINEERING', 'Axis Bank (Moran, 785670)', 'Current Account', 'A/C No: 921020019081364', 'IFSC: UTIB0003701'],
+    null,
+    array[
+      'Price will be including GST % as applicable.',
+      'This Performa Invoice is valid for 15 days only.',
+      'Delivery ex-stock/2 weeks.',
+      'Goods once sold cannot be taken back.'
+    ],
+    'PERFORMA INVOICE', 'APP/VE', 3, 'victor', 2
+  ),
+  (
+    'Mahabir Hardware Stores', '', '18ACBPA2363D1Z9', '',
+    array['AC No. 11010061051', 'IFSC Cord - SBIN0007368', 'Branch - Moran Branch'],
+    null,
+    array[
+      'This quotation is valid for six month from the date of issue.',
+      'Delivery is subject to stock availability and may take up to 2 weeks.',
+      'Goods once sold are non-returnable and non-exchangeable.'
+    ],
+    'QUOTATION', 'MH', 0, 'mahabir', 3
+  )
+on conflict (name) do nothing;
+
+-- Highest counter already used by a firm's saved quotes
+create or replace function public.firm_max_number(p_firm text)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(max(substring(q.number from char_length(f.number_prefix) + 1)::integer), 0)
+  from public.firms f
+  join public.quotes q
+    on q.number like f.number_prefix || '%'
+   and substring(q.number from char_length(f.number_prefix) + 1) ~ '^[0-9]+$'
+  where f.name = p_firm;
+$$;
+
+-- Counters continue from the existing quotes
+update public.firms set last_number = greatest(last_number, public.firm_max_number(name));
+
+-- Numbering now reads the firm row, so a new firm needs no code change
+drop function if exists public.next_quote_code(text);
+create function public.next_quote_code(p_firm text)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  f public.firms;
+begin
+  update public.firms
+     set last_number = last_number + 1
+   where name = p_firm
+  returning * into f;
+  if not found then
+    raise exception 'Unknown firm: %', p_firm;
+  end if;
+  return f.number_prefix || lpad(f.last_number::text, greatest(f.number_digits, char_length(f.last_number::text)), '0');
+end;
+$$;
+
+-- After a delete: rewind the counter to the highest number still in use
+drop function if exists public.sync_counter_to_max(text);
+create function public.sync_counter_to_max(p_firm text)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update public.firms set last_number = public.firm_max_number(p_firm) where name = p_firm;
+$$;
+
+grant execute on function public.next_quote_code(text) to anon, authenticated;
+grant execute on function public.sync_counter_to_max(text) to anon, authenticated;
@@ -0,0 +1,60 @@
+-- Named Terms & Conditions templates (one line per condition), a default per firm,
+-- and the exact text each quote was issued with so reprints match the original.
+create table if not exists public.terms_templates (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  body text not null default '',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.terms_templates enable row level security;
+
+create policy "terms_templates readable by everyone"
+  on public.terms_templates for select using (true);
+
+create policy "terms_templates writable by admins"
+  on public.terms_templates for all
+  using (exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.is_admin))
+  with check (exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.is_admin));
+
+alter table public.firms
+  add column if not exists default_terms_id uuid references public.terms_templates(id) on delete set null;
+
+alter table public.quotes
+  add column if not exists terms text;
+
+-- Seed the templates from the terms the firms print today
+insert into public.terms_templates (name, body)
+values
+  (
+    'Quotation – standard',
+    E'This quotation is valid for six month from the date of issue.\n' ||
+    E'Delivery is subject to stock availability and may take up to 2 weeks.\n' ||
+    'Goods once sold are non-returnable and non-exchangeable.'
+  ),
+  (
+    'Performa Invoice – standard',
+    E'Price will be including GST % as applicable.\n' ||
+    E'This Performa Invoice is valid for 15 days only.\n' ||
+    E'Delivery ex-stock/2 weeks.\n' ||
+    'Goods once sold cannot be taken back.'
+  )
+on conflict (name) do nothing;
+
+update public.firms
+   set default_terms_id = (select id from public.terms_templates where name = 'Quotation – standard')
+ where name in ('HVF Agency', 'Mahabir Hardware Stores') and default_terms_id is null;
+
+update public.firms
+   set default_terms_id = (select id from public.terms_templates where name = 'Performa Invoice – standard')
+ where name = 'Victor Engineering' and default_terms_id is null;
+
+-- Existing quotes keep the terms they were printed with
+update public.quotes q
+   set terms = array_to_string(f.terms, E'\n')
+  from public.firms f
+ where q.firm = f.name and q.terms is null;
+
+-- Terms live in the templates from now on: a firm without a default prints none
+alter table public.firms drop column if exists terms;
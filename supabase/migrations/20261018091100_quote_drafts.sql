@@ -0,0 +1,36 @@
+-- Draft quotes: saved without a firm number. Like Internal quotes they carry a hidden
+-- placeholder number (DRAFT/…) so the unique/not-null number constraint still holds.
+alter table public.quotes
+  add column if not exists status text not null default 'final' check (status in ('draft', 'final'));
+
+create index if not exists quotes_drafts_idx on public.quotes (created_at desc) where status = 'draft';
+
+-- Finalize a draft: reserve the firm's next number and stamp it on the row in one
+-- transaction, so a failed finalize never burns a number. Finalized quotes are dated now.
+create or replace function public.finalize_quote(p_quote_id uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  q public.quotes;
+  v_number text;
+begin
+  select * into q from public.quotes where id = p_quote_id for update;
+  if not found then
+    raise exception 'Quote not found';
+  end if;
+  if q.status = 'final' then
+    return q.number; -- already finalized (e.g. printed from another device)
+  end if;
+
+  v_number := public.next_quote_code(q.firm);
+  update public.quotes
+     set number = v_number, status = 'final', created_at = now()
+   where id = p_quote_id;
+  return v_number;
+end;
+$$;
+
+grant execute on function public.finalize_quote(uuid) to anon, authenticated;
@@ -0,0 +1,96 @@
+-- Save a quote header and all its lines in one transaction (all or nothing), so a dropped
+-- connection can no longer leave a quote without items.
+--   p_quote     quotes columns as JSON (number is the firm number, or an INT/… / DRAFT/… placeholder)
+--   p_items     quote_items rows as a JSON array (quote_id is filled in here)
+--   p_quote_id  the draft row to update (drafts only)
+--   p_finalize  also give a draft the firm's next number (finalize_quote), in the same transaction
+-- Returns { id, number, status }.
+create or replace function public.save_quote(
+  p_quote jsonb,
+  p_items jsonb,
+  p_quote_id uuid default null,
+  p_finalize boolean default false
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  h public.quotes := jsonb_populate_record(null::public.quotes, p_quote);
+  v_status text := coalesce(h.status, 'final');
+  v_id uuid;
+  v_number text;
+begin
+  if coalesce(h.number, '') = '' and p_quote_id is null then
+    raise exception 'Quote number is missing';
+  end if;
+
+  if p_quote_id is not null then
+    -- existing draft: only while it is still a draft
+    update public.quotes set
+      firm = h.firm,
+      customer_name = h.customer_name,
+      address = h.address,
+      phone = h.phone,
+      subject = h.subject,
+      customer_state = coalesce(h.customer_state, 'Assam'),
+      discount_type = h.discount_type,
+      discount_value = h.discount_value,
+      discount_amount = coalesce(h.discount_amount, 0),
+      total = h.total,
+      gst_breakdown = h.gst_breakdown,
+      terms = h.terms
+    where id = p_quote_id and status = 'draft'
+    returning id, number into v_id, v_number;
+    if v_id is null then
+      raise exception 'This draft was finalized or deleted on another device.';
+    end if;
+  else
+    insert into public.quotes as q (
+      number, firm, status, customer_name, address, phone, subject, customer_state,
+      discount_type, discount_value, discount_amount, total, gst_breakdown, terms
+    ) values (
+      h.number, h.firm, v_status, h.customer_name, h.address, h.phone, h.subject,
+      coalesce(h.customer_state, 'Assam'), h.discount_type, h.discount_value,
+      coalesce(h.discount_amount, 0), h.total, h.gst_breakdown, h.terms
+    )
+    on conflict (number) do update set
+      firm = excluded.firm,
+      customer_name = excluded.customer_name,
+      address = excluded.address,
+      phone = excluded.phone,
+      subject = excluded.subject,
+      customer_state = excluded.customer_state,
+      discount_type = excluded.discount_type,
+      discount_value = excluded.discount_value,
+      discount_amount = excluded.discount_amount,
+      total = excluded.total,
+      gst_breakdown = excluded.gst_breakdown,
+      terms = excluded.terms
+    returning q.id, q.number into v_id, v_number;
+  end if;
+
+  delete from public.quote_items where quote_id = v_id;
+  insert into public.quote_items (
+    quote_id, machine_id, variant_id, variant_label, name, specs, attributes, qty, mrp,
+    discount_type, discount_value, net_price,
+    gst_rate, taxable_value, tax_amount, cgst_amount, sgst_amount, igst_amount
+  )
+  select
+    v_id, r.machine_id, r.variant_id, r.variant_label, r.name, r.specs, r.attributes, r.qty, r.mrp,
+    r.discount_type, r.discount_value, r.net_price,
+    r.gst_rate, r.taxable_value, r.tax_amount, r.cgst_amount, r.sgst_amount, r.igst_amount
+  from jsonb_populate_recordset(null::public.quote_items, coalesce(p_items, '[]'::jsonb)) r;
+
+  select status into v_status from public.quotes where id = v_id;
+  if p_finalize and v_status = 'draft' then
+    v_number := public.finalize_quote(v_id);
+    v_status := 'final';
+  end if;
+
+  return jsonb_build_object('id', v_id, 'number', v_number, 'status', v_status);
+end;
+$$;
+
+grant execute on function public.save_quote(jsonb, jsonb, uuid, boolean) to anon, authenticated;
@@ -0,0 +1,141 @@
+-- Optimistic locking: every save of a quote bumps its version. The editor sends the version
+-- it loaded; if the row has moved on since (saved from another device), the save is refused
+-- with hint 'version_conflict' instead of silently overwriting the other device's changes.
+alter table public.quotes
+  add column if not exists version integer not null default 1;
+
+-- Finalizing also counts as a change
+create or replace function public.finalize_quote(p_quote_id uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  q public.quotes;
+  v_number text;
+begin
+  select * into q from public.quotes where id = p_quote_id for update;
+  if not found then
+    raise exception 'Quote not found';
+  end if;
+  if q.status = 'final' then
+    return q.number; -- already finalized (e.g. printed from another device)
+  end if;
+
+  v_number := public.next_quote_code(q.firm);
+  update public.quotes
+     set number = v_number, status = 'final', created_at = now(), version = version + 1
+   where id = p_quote_id;
+  return v_number;
+end;
+$$;
+
+-- save_quote gains p_expected_version (null = no check, e.g. a brand-new quote)
+drop function if exists public.save_quote(jsonb, jsonb, uuid, boolean);
+create function public.save_quote(
+  p_quote jsonb,
+  p_items jsonb,
+  p_quote_id uuid default null,
+  p_finalize boolean default false,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  h public.quotes := jsonb_populate_record(null::public.quotes, p_quote);
+  v_status text := coalesce(h.status, 'final');
+  cur public.quotes;
+  v_id uuid;
+  v_number text;
+  v_version integer;
+begin
+  if coalesce(h.number, '') = '' and p_quote_id is null then
+    raise exception 'Quote number is missing';
+  end if;
+
+  if p_quote_id is not null then
+    -- existing draft: only while it is still a draft, and still the version we loaded
+    select * into cur from public.quotes where id = p_quote_id for update;
+    if not found or cur.status <> 'draft' then
+      raise exception 'This draft was finalized or deleted on another device.';
+    end if;
+    if p_expected_version is not null and cur.version <> p_expected_version then
+      raise exception 'This quote was changed on another device.' using hint = 'version_conflict';
+    end if;
+
+    update public.quotes set
+      firm = h.firm,
+      customer_name = h.customer_name,
+      address = h.address,
+      phone = h.phone,
+      subject = h.subject,
+      customer_state = coalesce(h.customer_state, 'Assam'),
+      discount_type = h.discount_type,
+      discount_value = h.discount_value,
+      discount_amount = coalesce(h.discount_amount, 0),
+      total = h.total,
+      gst_breakdown = h.gst_breakdown,
+      terms = h.terms,
+      version = version + 1
+    where id = p_quote_id
+    returning id, number into v_id, v_number;
+  else
+    insert into public.quotes as q (
+      number, firm, status, customer_name, address, phone, subject, customer_state,
+      discount_type, discount_value, discount_amount, total, gst_breakdown, terms
+    ) values (
+      h.number, h.firm, v_status, h.customer_name, h.address, h.phone, h.subject,
+      coalesce(h.customer_state, 'Assam'), h.discount_type, h.discount_value,
+      coalesce(h.discount_amount, 0), h.total, h.gst_breakdown, h.terms
+    )
+    on conflict (number) do update set
+      firm = excluded.firm,
+      customer_name = excluded.customer_name,
+      address = excluded.address,
+      phone = excluded.phone,
+      subject = excluded.subject,
+      customer_state = excluded.customer_state,
+      discount_type = excluded.discount_type,
+      discount_value = excluded.discount_value,
+      discount_amount = excluded.discount_amount,
+      total = excluded.total,
+      gst_breakdown = excluded.gst_breakdown,
+      terms = excluded.terms,
+      version = q.version + 1
+    where p_expected_version is null or q.version = p_expected_version
+    returning q.id, q.number into v_id, v_number;
+
+    -- the number exists but was saved again after we loaded it
+    if v_id is null then
+      raise exception 'This quote was changed on another device.' using hint = 'version_conflict';
+    end if;
+  end if;
+
+  delete from public.quote_items where quote_id = v_id;
+  insert into public.quote_items (
+    quote_id, machine_id, variant_id, variant_label, name, specs, attributes, qty, mrp,
+    discount_type, discount_value, net_price,
+    gst_rate, taxable_value, tax_amount, cgst_amount, sgst_amount, igst_amount
+  )
+  select
+    v_id, r.machine_id, r.variant_id, r.variant_label, r.name, r.specs, r.attributes, r.qty, r.mrp,
+    r.discount_type, r.discount_value, r.net_price,
+    r.gst_rate, r.taxable_value, r.tax_amount, r.cgst_amount, r.sgst_amount, r.igst_amount
+  from jsonb_populate_recordset(null::public.quote_items, coalesce(p_items, '[]'::jsonb)) r;
+
+  select status into v_status from public.quotes where id = v_id;
+  if p_finalize and v_status = 'draft' then
+    v_number := public.finalize_quote(v_id);
+    v_status := 'final';
+  end if;
+
+  select version into v_version from public.quotes where id = v_id;
+  return jsonb_build_object('id', v_id, 'number', v_number, 'status', v_status, 'version', v_version);
+end;
+$$;
+
+grant execute on function public.save_quote(jsonb, jsonb, uuid, boolean, integer) to anon, authenticated;
@@ -0,0 +1,165 @@
+-- Quote revisions: re-quoting a numbered quote with changes saves a new row APP/H048-R2,
+-- APP/H048-R3, … instead of overwriting it. Every earlier revision stays as issued (read-only).
+--   root_number  the original number (null on the original itself)
+--   revision     1 = the original
+alter table public.quotes
+  add column if not exists root_number text,
+  add column if not exists revision integer not null default 1;
+
+create index if not exists quotes_root_number_idx on public.quotes (root_number) where root_number is not null;
+
+-- save_quote gains p_revise_of: save the editor's quote as the next revision of that row.
+-- The new row starts as a copy (sanction / delivery details carry over) with the edits applied.
+drop function if exists public.save_quote(jsonb, jsonb, uuid, boolean, integer);
+create function public.save_quote(
+  p_quote jsonb,
+  p_items jsonb,
+  p_quote_id uuid default null,
+  p_finalize boolean default false,
+  p_expected_version integer default null,
+  p_revise_of uuid default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  h public.quotes := jsonb_populate_record(null::public.quotes, p_quote);
+  v_status text := coalesce(h.status, 'final');
+  cur public.quotes;
+  nr public.quotes;
+  v_root text;
+  v_rev integer;
+  v_id uuid;
+  v_number text;
+  v_version integer;
+begin
+  if coalesce(h.number, '') = '' and p_quote_id is null and p_revise_of is null then
+    raise exception 'Quote number is missing';
+  end if;
+
+  if p_revise_of is not null then
+    select * into cur from public.quotes where id = p_revise_of;
+    if not found or cur.status <> 'final' then
+      raise exception 'Only a numbered quote can be revised.';
+    end if;
+    v_root := coalesce(cur.root_number, cur.number);
+    -- one revision at a time per quote
+    perform 1 from public.quotes where number = v_root or root_number = v_root for update;
+    select max(revision) + 1 into v_rev from public.quotes where number = v_root or root_number = v_root;
+
+    nr := cur;
+    nr.id := gen_random_uuid();
+    nr.number := v_root || '-R' || v_rev;
+    nr.root_number := v_root;
+    nr.revision := v_rev;
+    nr.version := 1;
+    nr.created_at := now();
+    nr.customer_name := h.customer_name;
+    nr.address := h.address;
+    nr.phone := h.phone;
+    nr.subject := h.subject;
+    nr.customer_state := coalesce(h.customer_state, 'Assam');
+    nr.discount_type := h.discount_type;
+    nr.discount_value := h.discount_value;
+    nr.discount_amount := coalesce(h.discount_amount, 0);
+    nr.total := h.total;
+    nr.gst_breakdown := h.gst_breakdown;
+    nr.terms := h.terms;
+    insert into public.quotes select nr.*;
+    v_id := nr.id;
+    v_number := nr.number;
+
+  elsif p_quote_id is not null then
+    -- existing draft: only while it is still a draft, and still the version we loaded
+    select * into cur from public.quotes where id = p_quote_id for update;
+    if not found or cur.status <> 'draft' then
+      raise exception 'This draft was finalized or deleted on another device.';
+    end if;
+    if p_expected_version is not null and cur.version <> p_expected_version then
+      raise exception 'This quote was changed on another device.' using hint = 'version_conflict';
+    end if;
+
+    update public.quotes set
+      firm = h.firm,
+      customer_name = h.customer_name,
+      address = h.address,
+      phone = h.phone,
+      subject = h.subject,
+      customer_state = coalesce(h.customer_state, 'Assam'),
+      discount_type = h.discount_type,
+      discount_value = h.discount_value,
+      discount_amount = coalesce(h.discount_amount, 0),
+      total = h.total,
+      gst_breakdown = h.gst_breakdown,
+      terms = h.terms,
+      version = version + 1
+    where id = p_quote_id
+    returning id, number into v_id, v_number;
+
+  else
+    -- earlier revisions are read-only
+    select * into cur from public.quotes where number = h.number;
+    if found and exists (
+      select 1 from public.quotes r
+       where r.root_number = coalesce(cur.root_number, cur.number) and r.revision > cur.revision
+    ) then
+      raise exception '% has a newer revision; earlier revisions cannot be changed.', h.number;
+    end if;
+
+    insert into public.quotes as q (
+      number, firm, status, customer_name, address, phone, subject, customer_state,
+      discount_type, discount_value, discount_amount, total, gst_breakdown, terms
+    ) values (
+      h.number, h.firm, v_status, h.customer_name, h.address, h.phone, h.subject,
+      coalesce(h.customer_state, 'Assam'), h.discount_type, h.discount_value,
+      coalesce(h.discount_amount, 0), h.total, h.gst_breakdown, h.terms
+    )
+    on conflict (number) do update set
+      firm = excluded.firm,
+      customer_name = excluded.customer_name,
+      address = excluded.address,
+      phone = excluded.phone,
+      subject = excluded.subject,
+      customer_state = excluded.customer_state,
+      discount_type = excluded.discount_type,
+      discount_value = excluded.discount_value,
+      discount_amount = excluded.discount_amount,
+      total = excluded.total,
+      gst_breakdown = excluded.gst_breakdown,
+      terms = excluded.terms,
+      version = q.version + 1
+    where p_expected_version is null or q.version = p_expected_version
+    returning q.id, q.number into v_id, v_number;
+
+    -- the number exists but was saved again after we loaded it
+    if v_id is null then
+      raise exception 'This quote was changed on another device.' using hint = 'version_conflict';
+    end if;
+  end if;
+
+  delete from public.quote_items where quote_id = v_id;
+  insert into public.quote_items (
+    quote_id, machine_id, variant_id, variant_label, name, specs, attributes, qty, mrp,
+    discount_type, discount_value, net_price,
+    gst_rate, taxable_value, tax_amount, cgst_amount, sgst_amount, igst_amount
+  )
+  select
+    v_id, r.machine_id, r.variant_id, r.variant_label, r.name, r.specs, r.attributes, r.qty, r.mrp,
+    r.discount_type, r.discount_value, r.net_price,
+    r.gst_rate, r.taxable_value, r.tax_amount, r.cgst_amount, r.sgst_amount, r.igst_amount
+  from jsonb_populate_recordset(null::public.quote_items, coalesce(p_items, '[]'::jsonb)) r;
+
+  select status into v_status from public.quotes where id = v_id;
+  if p_finalize and v_status = 'draft' then
+    v_number := public.finalize_quote(v_id);
+    v_status := 'final';
+  end if;
+
+  select version into v_version from public.quotes where id = v_id;
+  return jsonb_build_object('id', v_id, 'number', v_number, 'status', v_status, 'version', v_version);
+end;
+$$;
+
+grant execute on function public.save_quote(jsonb, jsonb, uuid, boolean, integer, uuid) to anon, authenticated;
@@ -0,0 +1,38 @@
+-- Save all of a machine's variants in one call (one transaction): rows with an id are
+-- updated, rows without one are added, and variants no longer listed are deleted.
+-- Runs as the caller, so the machine_variants admin policies still apply.
+create or replace function public.save_machine_variants(p_machine_id uuid, p_variants jsonb)
+returns void
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+  delete from public.machine_variants v
+   where v.machine_id = p_machine_id
+     and v.id not in (
+       select (e->>'id')::uuid
+         from jsonb_array_elements(coalesce(p_variants, '[]'::jsonb)) e
+        where coalesce(e->>'id', '') <> ''
+     );
+
+  insert into public.machine_variants as v (
+    id, machine_id, label, mrp, sell_price, cost_price, specs, attributes, sort
+  )
+  select
+    coalesce(r.id, gen_random_uuid()), p_machine_id, r.label, r.mrp, r.sell_price, r.cost_price,
+    coalesce(r.specs, ''), r.attributes, coalesce(r.sort, 0)
+  from jsonb_populate_recordset(null::public.machine_variants, coalesce(p_variants, '[]'::jsonb)) r
+  on conflict (id) do update set
+    label = excluded.label,
+    mrp = excluded.mrp,
+    sell_price = excluded.sell_price,
+    cost_price = excluded.cost_price,
+    specs = excluded.specs,
+    attributes = excluded.attributes,
+    sort = excluded.sort
+  where v.machine_id = p_machine_id;
+end;
+$$;
+
+grant execute on function public.save_machine_variants(uuid, jsonb) to authenticated;
@@ -0,0 +1,223 @@
+-- save_quote in parts: one function per way a quote is written (new revision, draft update,
+-- upsert on number) plus one for the lines. Until now every change re-created the whole
+-- function; from here on a migration replaces only the part it changes.
+-- The parts are internal: only save_quote (security definer) calls them.
+
+-- Save the editor's quote as the next revision of a numbered one (APP/H048 -> APP/H048-R2).
+-- p_expected_version: the edit started from the newest revision at that version, so a change
+-- to it or a newer revision saved since (another device) is a version conflict.
+create or replace function public.save_quote_revision(h public.quotes, p_revise_of uuid, p_expected_version integer)
+returns uuid
+language plpgsql
+set search_path = public
+as $$
+declare
+  cur public.quotes;
+  nr public.quotes;
+  v_root text;
+  v_rev integer;
+begin
+  select * into cur from public.quotes where id = p_revise_of;
+  if not found or cur.status <> 'final' then
+    raise exception 'Only a numbered quote can be revised.';
+  end if;
+  v_root := coalesce(cur.root_number, cur.number);
+  -- one revision at a time per quote; re-read the row once the family is locked
+  perform 1 from public.quotes where number = v_root or root_number = v_root for update;
+  select * into cur from public.quotes where id = p_revise_of;
+  if p_expected_version is not null and (
+    cur.version <> p_expected_version
+    or exists (select 1 from public.quotes r where r.root_number = v_root and r.revision > cur.revision)
+  ) then
+    raise exception 'This quote was changed on another device.' using hint = 'version_conflict';
+  end if;
+  select max(revision) + 1 into v_rev from public.quotes where number = v_root or root_number = v_root;
+
+  -- the new row starts as a copy (sanction / delivery details carry over) with the edits applied
+  nr := cur;
+  nr.id := gen_random_uuid();
+  nr.number := v_root || '-R' || v_rev;
+  nr.root_number := v_root;
+  nr.revision := v_rev;
+  nr.version := 1;
+  nr.created_at := now();
+  nr.customer_id := h.customer_id;
+  nr.customer_name := h.customer_name;
+  nr.customer_gstin := h.customer_gstin;
+  nr.address := h.address;
+  nr.phone := h.phone;
+  nr.subject := h.subject;
+  nr.customer_state := coalesce(h.customer_state, 'Assam');
+  nr.discount_type := h.discount_type;
+  nr.discount_value := h.discount_value;
+  nr.discount_amount := coalesce(h.discount_amount, 0);
+  nr.total := h.total;
+  nr.gst_breakdown := h.gst_breakdown;
+  nr.terms := h.terms;
+  insert into public.quotes select nr.*;
+  return nr.id;
+end;
+$$;
+
+-- Update a saved draft: only while it is still a draft, and still the version we loaded
+create or replace function public.save_quote_update(h public.quotes, p_quote_id uuid, p_expected_version integer)
+returns uuid
+language plpgsql
+set search_path = public
+as $$
+declare
+  cur public.quotes;
+begin
+  select * into cur from public.quotes where id = p_quote_id for update;
+  if not found or cur.status <> 'draft' then
+    raise exception 'This draft was finalized or deleted on another device.';
+  end if;
+  if p_expected_version is not null and cur.version <> p_expected_version then
+    raise exception 'This quote was changed on another device.' using hint = 'version_conflict';
+  end if;
+
+  update public.quotes set
+    firm = h.firm,
+    customer_id = h.customer_id,
+    customer_name = h.customer_name,
+    customer_gstin = h.customer_gstin,
+    address = h.address,
+    phone = h.phone,
+    subject = h.subject,
+    customer_state = coalesce(h.customer_state, 'Assam'),
+    discount_type = h.discount_type,
+    discount_value = h.discount_value,
+    discount_amount = coalesce(h.discount_amount, 0),
+    total = h.total,
+    gst_breakdown = h.gst_breakdown,
+    terms = h.terms,
+    version = version + 1
+  where id = p_quote_id;
+  return p_quote_id;
+end;
+$$;
+
+-- Insert a quote, or update the one with that number (if it is still the version we loaded)
+create or replace function public.save_quote_upsert(h public.quotes, p_expected_version integer)
+returns uuid
+language plpgsql
+set search_path = public
+as $$
+declare
+  cur public.quotes;
+  v_id uuid;
+begin
+  -- earlier revisions are read-only
+  select * into cur from public.quotes where number = h.number;
+  if found and exists (
+    select 1 from public.quotes r
+     where r.root_number = coalesce(cur.root_number, cur.number) and r.revision > cur.revision
+  ) then
+    raise exception '% has a newer revision; earlier revisions cannot be changed.', h.number;
+  end if;
+
+  insert into public.quotes as q (
+    number, firm, status, customer_id, customer_name, customer_gstin, address, phone, subject,
+    customer_state, discount_type, discount_value, discount_amount, total, gst_breakdown, terms
+  ) values (
+    h.number, h.firm, coalesce(h.status, 'final'), h.customer_id, h.customer_name, h.customer_gstin,
+    h.address, h.phone, h.subject, coalesce(h.customer_state, 'Assam'), h.discount_type,
+    h.discount_value, coalesce(h.discount_amount, 0), h.total, h.gst_breakdown, h.terms
+  )
+  on conflict (number) do update set
+    firm = excluded.firm,
+    customer_id = excluded.customer_id,
+    customer_name = excluded.customer_name,
+    customer_gstin = excluded.customer_gstin,
+    address = excluded.address,
+    phone = excluded.phone,
+    subject = excluded.subject,
+    customer_state = excluded.customer_state,
+    discount_type = excluded.discount_type,
+    discount_value = excluded.discount_value,
+    discount_amount = excluded.discount_amount,
+    total = excluded.total,
+    gst_breakdown = excluded.gst_breakdown,
+    terms = excluded.terms,
+    version = q.version + 1
+  where p_expected_version is null or q.version = p_expected_version
+  returning q.id into v_id;
+
+  -- the number exists but was saved again after we loaded it
+  if v_id is null then
+    raise exception 'This quote was changed on another device.' using hint = 'version_conflict';
+  end if;
+  return v_id;
+end;
+$$;
+
+-- Replace a quote's lines
+create or replace function public.save_quote_items(p_quote_id uuid, p_items jsonb)
+returns void
+language plpgsql
+set search_path = public
+as $$
+begin
+  delete from public.quote_items where quote_id = p_quote_id;
+  insert into public.quote_items (
+    quote_id, machine_id, variant_id, variant_label, name, specs, attributes, qty, mrp,
+    discount_type, discount_value, net_price,
+    gst_rate, taxable_value, tax_amount, cgst_amount, sgst_amount, igst_amount
+  )
+  select
+    p_quote_id, r.machine_id, r.variant_id, r.variant_label, r.name, r.specs, r.attributes, r.qty, r.mrp,
+    r.discount_type, r.discount_value, r.net_price,
+    r.gst_rate, r.taxable_value, r.tax_amount, r.cgst_amount, r.sgst_amount, r.igst_amount
+  from jsonb_populate_recordset(null::public.quote_items, coalesce(p_items, '[]'::jsonb)) r;
+end;
+$$;
+
+revoke execute on function public.save_quote_revision(public.quotes, uuid, integer) from public, anon, authenticated;
+revoke execute on function public.save_quote_update(public.quotes, uuid, integer) from public, anon, authenticated;
+revoke execute on function public.save_quote_upsert(public.quotes, integer) from public, anon, authenticated;
+revoke execute on function public.save_quote_items(uuid, jsonb) from public, anon, authenticated;
+
+-- save_quote itself only picks the part, writes the lines and finalizes (same signature)
+create or replace function public.save_quote(
+  p_quote jsonb,
+  p_items jsonb,
+  p_quote_id uuid default null,
+  p_finalize boolean default false,
+  p_expected_version integer default null,
+  p_revise_of uuid default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  h public.quotes := jsonb_populate_record(null::public.quotes, p_quote);
+  q public.quotes;
+  v_id uuid;
+begin
+  if coalesce(h.number, '') = '' and p_quote_id is null and p_revise_of is null then
+    raise exception 'Quote number is missing';
+  end if;
+
+  if p_revise_of is not null then
+    v_id := public.save_quote_revision(h, p_revise_of, p_expected_version);
+  elsif p_quote_id is not null then
+    v_id := public.save_quote_update(h, p_quote_id, p_expected_version);
+  else
+    v_id := public.save_quote_upsert(h, p_expected_version);
+  end if;
+
+  perform public.save_quote_items(v_id, p_items);
+
+  select * into q from public.quotes where id = v_id;
+  if p_finalize and q.status = 'draft' then
+    perform public.finalize_quote(v_id);
+    select * into q from public.quotes where id = v_id;
+  end if;
+
+  return jsonb_build_object(
+    'id', q.id, 'number', q.number, 'status', q.status, 'version', q.version, 'customer_id', q.customer_id
+  );
+end;
+$$;
@@ -0,0 +1,41 @@
+-- A saved Internal quote (re-opened from the list, or saved again) is updated by id like a
+-- draft, instead of being written as another INT/… row.
+create or replace function public.save_quote_update(h public.quotes, p_quote_id uuid, p_expected_version integer)
+returns uuid
+language plpgsql
+set search_path = public
+as $$
+declare
+  cur public.quotes;
+begin
+  select * into cur from public.quotes where id = p_quote_id for update;
+  if not found then
+    raise exception 'This quote was deleted on another device.';
+  end if;
+  if cur.status <> 'draft' and coalesce(cur.firm, '') <> 'Internal' and cur.number not like 'INT/%' then
+    raise exception 'This draft was finalized on another device.';
+  end if;
+  if p_expected_version is not null and cur.version <> p_expected_version then
+    raise exception 'This quote was changed on another device.' using hint = 'version_conflict';
+  end if;
+
+  update public.quotes set
+    firm = h.firm,
+    customer_id = h.customer_id,
+    customer_name = h.customer_name,
+    customer_gstin = h.customer_gstin,
+    address = h.address,
+    phone = h.phone,
+    subject = h.subject,
+    customer_state = coalesce(h.customer_state, 'Assam'),
+    discount_type = h.discount_type,
+    discount_value = h.discount_value,
+    discount_amount = coalesce(h.discount_amount, 0),
+    total = h.total,
+    gst_breakdown = h.gst_breakdown,
+    terms = h.terms,
+    version = version + 1
+  where id = p_quote_id;
+  return p_quote_id;
+end;
+$$;
@@ -0,0 +1,6 @@
+-- The app only looks customers up and edits them on the customer page; they are created and
+-- linked by link_quote_customer (security definer). Clients may no longer insert or delete.
+drop policy if exists "customers writable by everyone" on public.customers;
+
+create policy "customers editable by everyone"
+  on public.customers for update using (true) with check (true);
@@ -0,0 +1,52 @@
+-- Save a machine and its variants in one call (one transaction), so a failed variant save
+-- no longer leaves the machine row changed. p_machine_id null adds a new machine.
+-- Runs as the caller, so the machines / machine_variants admin policies still apply.
+create or replace function public.save_machine(p_machine_id uuid, p_machine jsonb, p_variants jsonb)
+returns uuid
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  m public.machines;
+  v_id uuid := p_machine_id;
+begin
+  if v_id is null then
+    m := jsonb_populate_record(null::public.machines, p_machine);
+    insert into public.machines (
+      name, model_code, category, mrp, sell_price, cost_price, specs, attributes, accessory_ids,
+      images, image_url, thumb_url
+    ) values (
+      m.name, m.model_code, m.category, m.mrp, m.sell_price, m.cost_price, coalesce(m.specs, ''),
+      m.attributes, coalesce(m.accessory_ids, '{}'), coalesce(m.images, '[]'::jsonb), m.image_url, m.thumb_url
+    )
+    returning id into v_id;
+  else
+    select * into m from public.machines where id = v_id for update;
+    if not found then
+      raise exception 'This product was deleted.';
+    end if;
+    -- keys missing from p_machine keep their current value
+    m := jsonb_populate_record(m, p_machine);
+    update public.machines set
+      name = m.name,
+      model_code = m.model_code,
+      category = m.category,
+      mrp = m.mrp,
+      sell_price = m.sell_price,
+      cost_price = m.cost_price,
+      specs = m.specs,
+      attributes = m.attributes,
+      accessory_ids = m.accessory_ids,
+      images = m.images,
+      image_url = m.image_url,
+      thumb_url = m.thumb_url
+    where id = v_id;
+  end if;
+
+  perform public.save_machine_variants(v_id, p_variants);
+  return v_id;
+end;
+$$;
+
+grant execute on function public.save_machine(uuid, jsonb, jsonb) to authenticated;
@@ -1,7 +1,48 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Installable app that keeps working in the field without signal:
+    // app shell + PDF fonts are precached, product photos are cached as they are seen.
+    // Catalog data (machines / categories) is cached by the app itself in localStorage.
+    VitePWA({
+      registerType: 'autoUpdate',
+      includeAssets: ['hvf-logo.png', 'pwa-icon.svg', 'fonts/*.ttf'],
+      manifest: {
+        name: 'HVF Machinery Catalog',
+        short_name: 'HVF Catalog',
+        description: 'HVF Agency machinery catalog and quotations',
+        start_url: '/',
+        scope: '/',
+        display: 'standalone',
+        background_color: '#ffffff',
+        theme_color: '#1677ff',
+        icons: [
+          { src: '/pwa-icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any' },
+          { src: '/pwa-icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'maskable' },
+        ],
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,png,ttf}'],
+        maximumFileSizeToCacheInBytes: 4 * 1024 * 1024,
+        navigateFallback: '/index.html',
+        runtimeCaching: [
+          {
+            // Supabase Storage: product photos and thumbnails
+            urlPattern: ({ url }) => url.pathname.startsWith('/storage/v1/object/public/images/'),
+            handler: 'CacheFirst',
+            options: {
+              cacheName: 'product-images',
+              expiration: { maxEntries: 800, maxAgeSeconds: 60 * 60 * 24 * 60 },
+              cacheableResponse: { statuses: [0, 200] },
+            },
+          },
+        ],
+      },
+    }),
+  ],
 })